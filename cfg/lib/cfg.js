@@ -118,6 +118,8 @@ define(function(require, exports) {
     case 'CallExpression':
     case 'NewExpression':
     case 'UpdateExpression':
+    case 'YieldExpression':
+    case 'AwaitExpression':
       return true;
     case 'MemberExpression':
       return expr.object.name !== '__global';
@@ -203,9 +205,10 @@ define(function(require, exports) {
       case 'ExpressionStatement':
         switch(stmt.expression.type) {
         case 'CallExpression':
-          // this must be the global (function(__global) { ... })(this) wrapping an entire script
+          // this is either an __export statement in a module, or the global (function(__global) { ... })(this) wrapping an entire script
           addEdges(stmt, following);
-          buildFunctionCFG(stmt.expression.callee, context);
+          if(stmt.expression.callee.type === 'FunctionExpression')
+            buildFunctionCFG(stmt.expression.callee, context);
           break;
         case 'AssignmentExpression':
           addEdges(stmt, following);
@@ -213,6 +216,14 @@ define(function(require, exports) {
             addEdge(stmt, getExceptionTarget(context));
             accu.exn = true;
           }
+          // an async function suspends at an await, and is resumed either normally or with an exception if the
+          // awaited promise is rejected; the latter is covered by the mayThrow check above. A generator suspends
+          // at a yield; besides resuming normally or with an exception, it may also be made to return by calling
+          // 'return' on the generator object
+          if(stmt.expression.right.type === 'YieldExpression') {
+            addEdge(stmt, getReturnTarget(context));
+            accu.ret = true;
+          }
           if(stmt.expression.right.type === 'FunctionExpression')
             buildFunctionCFG(stmt.expression.right, context);
           break;
@@ -231,7 +242,9 @@ define(function(require, exports) {
       case 'WhileStatement':
       case 'ForInStatement':
         addEdge(stmt, stmt.body.body[0]);
-        addEdges(stmt, following);
+        // a 'while(true)' loop can only be left by a break statement
+        if(!(stmt.type === 'WhileStatement' && stmt.test.type === 'Literal' && stmt.test.value === true))
+          addEdges(stmt, following);
         buildStmtCFG(stmt.body, sets.singleton(stmt), context, accu);
         break;
         
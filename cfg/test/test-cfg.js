@@ -17,11 +17,15 @@ var ast = require('../../common/lib/ast.js'),
     sets = require('../../common/lib/sets.js'),
     cfg = require('../lib/cfg'),
     dominators = require('../lib/dominators'),
+    normalizer = require('../../normalizer/lib/normalizer'),
     esprima = require('esprima');
 
-// run an individual test given input and expected output
+// run an individual test given input and expected output; if normalise is given, the
+// input is first normalized with these options
 function runtest(test, prog, facts, normalise) {
   var ast = esprima.parse(prog, { loc: true, range: true });
+  if(normalise)
+    ast = normalizer.normalize(ast, normalise);
   cfg.buildCFG(ast);
   dominators.buildDominatorTrees(ast, true);
   var actual = dumpCFG(ast);
@@ -67,7 +71,10 @@ function iterCFG(nd, f) {
     f(nd);
     switch(nd.expression.type) {
     case 'CallExpression':
-      f(nd.expression.callee);
+      if(nd.expression.callee.type === 'FunctionExpression')
+        rec(nd.expression.callee);
+      else
+        f(nd.expression.callee);
       break;
     case 'AssignmentExpression':
       if(nd.expression.right.type === 'FunctionExpression')
@@ -366,6 +373,184 @@ exports.test4 = function(test) {
     + "    immediate postdominator: FunctionExpression at 1:7\n");
 };
 
+exports.test5 = function(test) {
+    runtest(test,
+      "g = function*(x) {\n"
+    + "  var y, e;\n"
+    + "  try {\n"
+    + "    y = yield x;\n"
+    + "  } catch(e) {\n"
+    + "    y = e;\n"
+    + "  }\n"
+    + "  return y;\n"
+    + "};\n",
+      "Program at 1:0 --> []\n"
+    + "    immediate dominator: ExpressionStatement at 1:0\n"
+    + "    immediate postdominator: none\n"
+    + "Entry at 1:0 --> [ExpressionStatement at 1:0]\n"
+    + "    immediate dominator: none\n"
+    + "    immediate postdominator: ExpressionStatement at 1:0\n"
+    + "ExpressionStatement at 1:0 --> [Program at 1:0]\n"
+    + "    immediate dominator: Entry at 1:0\n"
+    + "    immediate postdominator: Program at 1:0\n"
+    + "FunctionExpression at 1:4 --> []\n"
+    + "    immediate dominator: ExpressionStatement at 4:43\n"
+    + "    immediate postdominator: none\n"
+    + "Entry at 1:4 --> [VariableDeclaration at 2:21]\n"
+    + "    immediate dominator: none\n"
+    + "    immediate postdominator: VariableDeclaration at 2:21\n"
+    + "VariableDeclaration at 2:21 --> [TryStatement at 3:33]\n"
+    + "    immediate dominator: Entry at 1:4\n"
+    + "    immediate postdominator: TryStatement at 3:33\n"
+    + "TryStatement at 3:33 --> [ExpressionStatement at 4:43]\n"
+    + "    immediate dominator: VariableDeclaration at 2:21\n"
+    + "    immediate postdominator: ExpressionStatement at 4:43\n"
+    + "ExpressionStatement at 4:43 --> [ReturnStatement at 8:88, ExpressionStatement at 6:75, FunctionExpression at 1:4]\n"
+    + "    immediate dominator: TryStatement at 3:33\n"
+    + "    immediate postdominator: FunctionExpression at 1:4\n"
+    + "ExpressionStatement at 6:75 --> [ReturnStatement at 8:88]\n"
+    + "    immediate dominator: ExpressionStatement at 4:43\n"
+    + "    immediate postdominator: ReturnStatement at 8:88\n"
+    + "ReturnStatement at 8:88 --> [FunctionExpression at 1:4]\n"
+    + "    immediate dominator: ExpressionStatement at 4:43\n"
+    + "    immediate postdominator: FunctionExpression at 1:4\n");
+};
+
+exports.test6 = function(test) {
+    runtest(test,
+      "f = async function(p) {\n"
+    + "  var x;\n"
+    + "  try {\n"
+    + "    x = await p;\n"
+    + "  } finally {\n"
+    + "    p = null;\n"
+    + "  }\n"
+    + "  return x;\n"
+    + "};\n",
+      "Program at 1:0 --> []\n"
+    + "    immediate dominator: ExpressionStatement at 1:0\n"
+    + "    immediate postdominator: none\n"
+    + "Entry at 1:0 --> [ExpressionStatement at 1:0]\n"
+    + "    immediate dominator: none\n"
+    + "    immediate postdominator: ExpressionStatement at 1:0\n"
+    + "ExpressionStatement at 1:0 --> [Program at 1:0]\n"
+    + "    immediate dominator: Entry at 1:0\n"
+    + "    immediate postdominator: Program at 1:0\n"
+    + "FunctionExpression at 1:4 --> []\n"
+    + "    immediate dominator: ExpressionStatement at 6:76\n"
+    + "    immediate postdominator: none\n"
+    + "Entry at 1:4 --> [VariableDeclaration at 2:26]\n"
+    + "    immediate dominator: none\n"
+    + "    immediate postdominator: VariableDeclaration at 2:26\n"
+    + "VariableDeclaration at 2:26 --> [TryStatement at 3:35]\n"
+    + "    immediate dominator: Entry at 1:4\n"
+    + "    immediate postdominator: TryStatement at 3:35\n"
+    + "TryStatement at 3:35 --> [ExpressionStatement at 4:45]\n"
+    + "    immediate dominator: VariableDeclaration at 2:26\n"
+    + "    immediate postdominator: ExpressionStatement at 4:45\n"
+    + "ExpressionStatement at 4:45 --> [ExpressionStatement at 6:76]\n"
+    + "    immediate dominator: TryStatement at 3:35\n"
+    + "    immediate postdominator: ExpressionStatement at 6:76\n"
+    + "ExpressionStatement at 6:76 --> [ReturnStatement at 8:92, FunctionExpression at 1:4]\n"
+    + "    immediate dominator: ExpressionStatement at 4:45\n"
+    + "    immediate postdominator: FunctionExpression at 1:4\n"
+    + "ReturnStatement at 8:92 --> [FunctionExpression at 1:4]\n"
+    + "    immediate dominator: ExpressionStatement at 6:76\n"
+    + "    immediate postdominator: FunctionExpression at 1:4\n");
+};
+
+exports.test7 = function(test) {
+    // loops normalized with option single_loop_test are left only through their break statement
+    runtest(test,
+      "g = function(a) {\n"
+    + "  var i;\n"
+    + "  for(i = 0; i < a; ++i)\n"
+    + "    ;\n"
+    + "};\n",
+      "Program at -1:-1 --> []\n"
+    + "    immediate dominator: ExpressionStatement at -1:-1\n"
+    + "    immediate postdominator: none\n"
+    + "Entry at -1:-1 --> [ExpressionStatement at -1:-1]\n"
+    + "    immediate dominator: none\n"
+    + "    immediate postdominator: ExpressionStatement at -1:-1\n"
+    + "ExpressionStatement at -1:-1 --> [Program at -1:-1]\n"
+    + "    immediate dominator: Entry at -1:-1\n"
+    + "    immediate postdominator: Program at -1:-1\n"
+    + "FunctionExpression at -1:-1 --> []\n"
+    + "    immediate dominator: ExpressionStatement at 1:0\n"
+    + "    immediate postdominator: none\n"
+    + "Entry at -1:-1 --> [VariableDeclaration at -1:-1]\n"
+    + "    immediate dominator: none\n"
+    + "    immediate postdominator: VariableDeclaration at -1:-1\n"
+    + "VariableDeclaration at -1:-1 --> [ExpressionStatement at 1:4]\n"
+    + "    immediate dominator: Entry at -1:-1\n"
+    + "    immediate postdominator: ExpressionStatement at 1:4\n"
+    + "ExpressionStatement at 1:4 --> [ExpressionStatement at 1:0]\n"
+    + "    immediate dominator: VariableDeclaration at -1:-1\n"
+    + "    immediate postdominator: ExpressionStatement at 1:0\n"
+    + "FunctionExpression at 1:4 --> []\n"
+    + "    immediate dominator: ReturnStatement at 1:4\n"
+    + "    immediate postdominator: none\n"
+    + "Entry at 1:4 --> [VariableDeclaration at 1:4]\n"
+    + "    immediate dominator: none\n"
+    + "    immediate postdominator: VariableDeclaration at 1:4\n"
+    + "VariableDeclaration at 1:4 --> [ExpressionStatement at 3:37]\n"
+    + "    immediate dominator: Entry at 1:4\n"
+    + "    immediate postdominator: ExpressionStatement at 3:37\n"
+    + "ExpressionStatement at 3:37 --> [LabeledStatement at 3:29]\n"
+    + "    immediate dominator: VariableDeclaration at 1:4\n"
+    + "    immediate postdominator: LabeledStatement at 3:29\n"
+    + "LabeledStatement at 3:29 --> [WhileStatement at 3:29]\n"
+    + "    immediate dominator: ExpressionStatement at 3:37\n"
+    + "    immediate postdominator: WhileStatement at 3:29\n"
+    + "WhileStatement at 3:29 --> [ExpressionStatement at 3:40]\n"
+    + "    immediate dominator: LabeledStatement at 3:29\n"
+    + "    immediate postdominator: ExpressionStatement at 3:40\n"
+    + "ExpressionStatement at 3:40 --> [ExpressionStatement at 3:44]\n"
+    + "    immediate dominator: WhileStatement at 3:29\n"
+    + "    immediate postdominator: ExpressionStatement at 3:44\n"
+    + "ExpressionStatement at 3:44 --> [ExpressionStatement at 3:40]\n"
+    + "    immediate dominator: ExpressionStatement at 3:40\n"
+    + "    immediate postdominator: ExpressionStatement at 3:40\n"
+    + "ExpressionStatement at 3:40 --> [IfStatement at 3:29]\n"
+    + "    immediate dominator: ExpressionStatement at 3:44\n"
+    + "    immediate postdominator: IfStatement at 3:29\n"
+    + "IfStatement at 3:29 --> [EmptyStatement at 3:29, BreakStatement at 3:29]\n"
+    + "    immediate dominator: ExpressionStatement at 3:40\n"
+    + "    immediate postdominator: BreakStatement at 3:29\n"
+    + "EmptyStatement at 3:29 --> [LabeledStatement at 3:29]\n"
+    + "    immediate dominator: IfStatement at 3:29\n"
+    + "    immediate postdominator: LabeledStatement at 3:29\n"
+    + "BreakStatement at 3:29 --> [ReturnStatement at 1:4]\n"
+    + "    immediate dominator: IfStatement at 3:29\n"
+    + "    immediate postdominator: ReturnStatement at 1:4\n"
+    + "LabeledStatement at 3:29 --> [EmptyStatement at 3:29]\n"
+    + "    immediate dominator: EmptyStatement at 3:29\n"
+    + "    immediate postdominator: EmptyStatement at 3:29\n"
+    + "EmptyStatement at 3:29 --> [ExpressionStatement at 3:47]\n"
+    + "    immediate dominator: LabeledStatement at 3:29\n"
+    + "    immediate postdominator: ExpressionStatement at 3:47\n"
+    + "ExpressionStatement at 3:47 --> [ExpressionStatement at 3:47]\n"
+    + "    immediate dominator: EmptyStatement at 3:29\n"
+    + "    immediate postdominator: ExpressionStatement at 3:47\n"
+    + "ExpressionStatement at 3:47 --> [ExpressionStatement at 3:47]\n"
+    + "    immediate dominator: ExpressionStatement at 3:47\n"
+    + "    immediate postdominator: ExpressionStatement at 3:47\n"
+    + "ExpressionStatement at 3:47 --> [WhileStatement at 3:29]\n"
+    + "    immediate dominator: ExpressionStatement at 3:47\n"
+    + "    immediate postdominator: WhileStatement at 3:29\n"
+    + "ReturnStatement at 1:4 --> [FunctionExpression at 1:4]\n"
+    + "    immediate dominator: BreakStatement at 3:29\n"
+    + "    immediate postdominator: FunctionExpression at 1:4\n"
+    + "ExpressionStatement at 1:0 --> [ExpressionStatement at 1:0]\n"
+    + "    immediate dominator: ExpressionStatement at 1:4\n"
+    + "    immediate postdominator: ExpressionStatement at 1:0\n"
+    + "ExpressionStatement at 1:0 --> [FunctionExpression at -1:-1]\n"
+    + "    immediate dominator: ExpressionStatement at 1:0\n"
+    + "    immediate postdominator: FunctionExpression at -1:-1\n",
+      { single_loop_test: true });
+};
+
 
 var reporter = require('nodeunit').reporters['default'];
 reporter.run({"test-cfg" : module.exports});
\ No newline at end of file
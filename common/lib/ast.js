@@ -23,45 +23,71 @@ define(function(require, exports) {
   var signatures = {
       AssignmentExpression: [ '<operator>', 'left', 'right'],
       ArrayExpression: [ 'elements' ],
+      ArrayPattern: [ 'elements' ],
+      ArrowFunctionExpression: [ 'id', 'params', 'body', '<generator>', '<async>' ],
+      AssignmentPattern: [ 'left', 'right' ],
+      AwaitExpression: [ 'argument' ],
       BlockStatement: [ 'body' ],
       BinaryExpression: [ '<operator>', 'left', 'right'],
       BreakStatement: [ 'label' ],
       CallExpression: [ 'callee', 'arguments' ],
+      ChainExpression: [ 'expression' ],
       CatchClause: [ 'param', 'body' ],
+      ClassBody: [ 'body' ],
+      ClassDeclaration: [ 'id', 'superClass', 'body' ],
+      ClassExpression: [ 'id', 'superClass', 'body' ],
       ConditionalExpression: [ 'test', 'consequent', 'alternate' ],
       ContinueStatement: [ 'label' ],
       DirectiveStatement: [ ],
       DoWhileStatement: [ 'body', 'test' ],
       DebuggerStatement: [ ],
       EmptyStatement: [ ],
+      ExportAllDeclaration: [ 'source' ],
+      ExportDefaultDeclaration: [ 'declaration' ],
+      ExportNamedDeclaration: [ 'declaration', 'specifiers', 'source' ],
+      ExportSpecifier: [ 'local', 'exported' ],
       ExpressionStatement: [ 'expression' ],
       ForStatement: [ 'init', 'test', 'update', 'body' ],
       ForInStatement: [ 'left', 'right', 'body' ],
-      FunctionDeclaration: [ 'id', 'params', 'body' ],
-      FunctionExpression: [ 'id', 'params', 'body' ],
+      ForOfStatement: [ 'left', 'right', 'body' ],
+      FunctionDeclaration: [ 'id', 'params', 'body', '<generator>', '<async>' ],
+      FunctionExpression: [ 'id', 'params', 'body', '<generator>', '<async>' ],
       Identifier: [ '<name>' ],
       IfStatement: [ 'test', 'consequent', 'alternate' ],
+      ImportDeclaration: [ 'specifiers', 'source' ],
+      ImportDefaultSpecifier: [ 'local' ],
+      ImportNamespaceSpecifier: [ 'local' ],
+      ImportSpecifier: [ 'local', 'imported' ],
       Literal: [ '<value>' ],
       LabeledStatement: [ 'label', 'body' ],
       LogicalExpression: [ '<operator>', 'left', 'right' ],
       MemberExpression: [ 'object', 'property', '<computed>' ],
+      MethodDefinition: [ 'key', 'value', '<kind>', '<computed>', '<static>' ],
       NewExpression: [ 'callee', 'arguments' ],
       ObjectExpression: [ 'properties' ],
+      ObjectPattern: [ 'properties' ],
       Program: [ 'body' ],
       Property: [ 'key', 'value', '<kind>' ],
+      RestElement: [ 'argument' ],
       ReturnStatement: [ 'argument' ],
       SequenceExpression: [ 'expressions' ],
+      SpreadElement: [ 'argument' ],
       SwitchStatement: [ 'discriminant', 'cases' ],
       SwitchCase: [ 'test', 'consequent' ],
+      Super: [ ],
+      TaggedTemplateExpression: [ 'tag', 'quasi' ],
+      TemplateElement: [ '<value>', '<tail>' ],
+      TemplateLiteral: [ 'quasis', 'expressions' ],
       ThisExpression: [ ],
       ThrowStatement: [ 'argument' ],
-      TryStatement: [ 'block', 'guardedHandlers', 'handlers', 'finalizer' ],
+      TryStatement: [ 'block', 'guardedHandlers', 'handlers', 'finalizer', 'handler' ],
       UnaryExpression: [ '<operator>', 'argument' ],
       UpdateExpression: [ '<operator>', 'argument', '<prefix>' ],
       VariableDeclaration: [ 'declarations', '<kind>' ],
       VariableDeclarator: [ 'id', 'init' ],
       WhileStatement: [ 'test', 'body' ],
-      WithStatement: [ 'object', 'body' ]
+      WithStatement: [ 'object', 'body' ],
+      YieldExpression: [ 'argument', '<delegate>' ]
   };
 
   // define a constructor from a signature
@@ -160,7 +186,9 @@ define(function(require, exports) {
 	      pos.url = nd.loc.source;
 	  }
         pos.start_line = nd.loc.start.line;
-        pos.end_line = nd.loc.start.line;
+        pos.start_column = nd.loc.start.column;
+        pos.end_line = nd.loc.end.line;
+        pos.end_column = nd.loc.end.column;
       }
       if(nd.range) {
         pos.start_offset = nd.range[0];
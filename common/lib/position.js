@@ -11,13 +11,15 @@
 
 /**
  * ADT for representing source positions identified by a URL, a start line, a start
- * offset (i.e., character offset from the beginning of the file), an end line, and
- * an end offset.
+ * offset (i.e., character offset from the beginning of the file), an end line, an
+ * end offset, a start column and an end column.
  * 
  * The start line corresponds to Esprima's loc.start.line, the start offset to
- * range[0], and similar for the end line and end offset.
+ * range[0], the start column to loc.start.column, and similar for the end line,
+ * end offset and end column. Offsets and columns that are not known are -1.
  * 
- * For compatibility with Esprima, line numbering should normally be 1-based.
+ * For compatibility with Esprima, line numbering should normally be 1-based, while
+ * columns are 0-based.
  */
 
 if(typeof define !== 'function') {
@@ -25,12 +27,14 @@ if(typeof define !== 'function') {
 }
 
 define(function(require, exports) {
-  function Position(url, start_line, start_offset, end_line, end_offset) {
+  function Position(url, start_line, start_offset, end_line, end_offset, start_column, end_column) {
     this.url = url || "<unknown>";
     this.start_line = start_line;
     this.start_offset = start_offset;
     this.end_line = end_line;
     this.end_offset = end_offset;
+    this.start_column = typeof start_column === 'number' ? start_column : -1;
+    this.end_column = typeof end_column === 'number' ? end_column : -1;
   }
   
   Position.prototype.toString = function(short) {
@@ -39,8 +43,14 @@ define(function(require, exports) {
     return this.url + "/" + this.start_line + ":" + this.start_offset + "-" + this.end_line + ":" + this.end_offset;
   };
   
+  // format the start of this position as 'url:line:column', where the column is 1-based as is customary
+  // for diagnostics; the column is omitted if it is not known
+  Position.prototype.format = function() {
+    return this.url + ":" + this.start_line + (this.start_column >= 0 ? ":" + (this.start_column+1) : "");
+  };
+  
   Position.prototype.clone = function() {
-    return new Position(this.url, this.start_line, this.start_offset, this.end_line, this.end_offset);
+    return new Position(this.url, this.start_line, this.start_offset, this.end_line, this.end_offset, this.start_column, this.end_column);
   };
   
   Position.prototype.equals = function(o) {
@@ -50,13 +60,54 @@ define(function(require, exports) {
            o.start_line === this.start_line &&
            o.start_offset === this.start_offset &&
            o.end_line === this.end_line &&
-           o.end_offset === this.end_offset;
+           o.end_offset === this.end_offset &&
+           o.start_column === this.start_column &&
+           o.end_column === this.end_column;
+  };
+  
+  // compare two points in the same file, given by line, column and offset; offsets are compared if both
+  // are known, otherwise lines and columns
+  function comparePoints(line1, column1, offset1, line2, column2, offset2) {
+    if(offset1 >= 0 && offset2 >= 0)
+      return offset1 - offset2;
+    return line1 - line2 || column1 - column2;
+  }
+  
+  Position.prototype.compareStart = function(o) {
+    return comparePoints(this.start_line, this.start_column, this.start_offset, o.start_line, o.start_column, o.start_offset);
+  };
+  
+  Position.prototype.compareEnd = function(o) {
+    return comparePoints(this.end_line, this.end_column, this.end_offset, o.end_line, o.end_column, o.end_offset);
+  };
+  
+  // does this position enclose position o?
+  Position.prototype.contains = function(o) {
+    return o.url === this.url && this.compareStart(o) <= 0 && this.compareEnd(o) >= 0;
   };
   
-  var DUMMY_POS = new Position(null, -1, -1, -1, -1);
+  // the smallest position enclosing both this position and position o, which must be in the same file
+  Position.prototype.merge = function(o) {
+    if(o.url !== this.url)
+      throw new Error("cannot merge positions in different files");
+    var start = this.compareStart(o) <= 0 ? this : o,
+        end = this.compareEnd(o) >= 0 ? this : o;
+    return new Position(this.url, start.start_line, start.start_offset, end.end_line, end.end_offset, start.start_column, end.end_column);
+  };
+  
+  // ordering on positions, by URL, then by start, with enclosing positions coming before the positions they
+  // enclose; suitable for use with Array.prototype.sort
+  function compare(p1, p2) {
+    if(p1.url !== p2.url)
+      return p1.url < p2.url ? -1 : 1;
+    return p1.compareStart(p2) || p2.compareEnd(p1);
+  }
+  
+  var DUMMY_POS = new Position(null, -1, -1, -1, -1, -1, -1);
   
   return {
     Position: Position,
+    compare: compare,
     DUMMY_POS: DUMMY_POS
   };
 });
\ No newline at end of file
@@ -0,0 +1,74 @@
+/*******************************************************************************
+ * Copyright (c) 2012 IBM Corporation.
+ * All rights reserved. This program and the accompanying materials
+ * are made available under the terms of the Eclipse Public License v1.0
+ * which accompanies this distribution, and is available at
+ * http://www.eclipse.org/legal/epl-v10.html
+ *
+ * Contributors:
+ *     IBM Corporation - initial API and implementation
+ *******************************************************************************/
+
+/**
+ * Unit tests for source positions.
+ */
+var ast = require('../lib/ast'),
+    position = require('../lib/position'),
+    Position = position.Position,
+    esprima = require('esprima');
+
+exports.testGetPosition = function(test) {
+  var prog = esprima.parse("x = 1;\nf(function() {\n  return 2;\n});", { loc: true, range: true, source: "a.js" });
+  var pos = ast.getPosition(prog.body[1]);
+  test.equal(pos.url, "a.js");
+  test.equal(pos.start_line, 2);
+  test.equal(pos.start_column, 0);
+  test.equal(pos.start_offset, 7);
+  test.equal(pos.end_line, 4);
+  test.equal(pos.end_column, 3);
+  test.equal(pos.end_offset, 37);
+  test.equal(ast.getPosition(prog.body[1].expression.arguments[0].body.body[0]).format(), "a.js:3:3");
+  test.done();
+};
+
+exports.testContains = function(test) {
+  var outer = new Position("a.js", 1, 0, 3, 30, 0, 1),
+      inner = new Position("a.js", 2, 10, 2, 15, 2, 7);
+  test.ok(outer.contains(inner));
+  test.ok(!inner.contains(outer));
+  test.ok(outer.contains(outer));
+  test.ok(!outer.contains(new Position("b.js", 2, 10, 2, 15, 2, 7)));
+  // without offsets, lines and columns are compared
+  test.ok(new Position("a.js", 1, -1, 1, -1, 4, 20).contains(new Position("a.js", 1, -1, 1, -1, 5, 10)));
+  test.ok(!new Position("a.js", 1, -1, 1, -1, 4, 20).contains(new Position("a.js", 1, -1, 2, -1, 5, 0)));
+  test.done();
+};
+
+exports.testMerge = function(test) {
+  var p1 = new Position("a.js", 1, 4, 1, 10, 4, 10),
+      p2 = new Position("a.js", 2, 20, 3, 40, 8, 5);
+  test.ok(p1.merge(p2).equals(new Position("a.js", 1, 4, 3, 40, 4, 5)));
+  test.ok(p2.merge(p1).equals(p1.merge(p2)));
+  test.throws(function() { p1.merge(new Position("b.js", 1, 4, 1, 10, 4, 10)); });
+  test.done();
+};
+
+exports.testCompare = function(test) {
+  var positions = [new Position("b.js", 1, 0, 1, 5, 0, 5),
+                   new Position("a.js", 2, 12, 2, 14, 2, 4),
+                   new Position("a.js", 2, 10, 2, 14, 0, 4),
+                   new Position("a.js", 2, 10, 2, 20, 0, 10)];
+  test.deepEqual(positions.sort(position.compare).map(function(pos) { return pos.toString(); }),
+                 ["a.js/2:10-2:20", "a.js/2:10-2:14", "a.js/2:12-2:14", "b.js/1:0-1:5"]);
+  test.done();
+};
+
+exports.testFormat = function(test) {
+  test.equal(new Position("a.js", 3, 20, 3, 25, 4, 9).format(), "a.js:3:5");
+  test.equal(new Position("a.js", 3, 20, 3, 25).format(), "a.js:3");
+  test.equal(position.DUMMY_POS.clone().format(), "<unknown>:-1");
+  test.done();
+};
+
+var reporter = require('nodeunit').reporters['default'];
+reporter.run({"test-position" : module.exports});
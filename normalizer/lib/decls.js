@@ -11,6 +11,16 @@
 
 /**
  * Utility functions to collect all variable and function declarations in a subtree.
+ * 
+ * Function declarations and 'var' declarations are function-scoped, so they are collected
+ * from the whole subtree by collectDecls. Block-scoped 'let', 'const' and class declarations
+ * are only collected from the statement list of their immediately enclosing block by
+ * collectLexicalDecls. Function declarations nested in a block are found by collectBlockFunctions,
+ * since they are initialized when the block is entered rather than at the start of the function.
+ *
+ * Declarations are represented by the AST node declaring a single name: a function or
+ * class declaration, a variable declarator, or (for parameters and destructuring patterns)
+ * an identifier.
  */
 if(typeof define !== 'function') {
   var define = require('amdefine')(module);
@@ -25,15 +35,58 @@ define(function(require, exports) {
     return decl.id.name;
   }
 
+  // collect the identifiers bound by a pattern (or an array of patterns); member expressions
+  // in assignment patterns do not bind anything
+  function collectPatternDecls(pattern, accu) {
+    accu = accu || [];
+    if(Array.isArray(pattern)) {
+      pattern.forEach(function(p) { collectPatternDecls(p, accu); });
+      return accu;
+    }
+    if(!pattern)
+      return accu;
+
+    switch(pattern.type) {
+    case 'Identifier':
+      accu[accu.length] = pattern;
+      break;
+    case 'ObjectPattern':
+      pattern.properties.forEach(function(prop) {
+        collectPatternDecls(prop.type === 'RestElement' ? prop.argument : prop.value, accu);
+      });
+      break;
+    case 'ArrayPattern':
+      collectPatternDecls(pattern.elements, accu);
+      break;
+    case 'AssignmentPattern':
+      collectPatternDecls(pattern.left, accu);
+      break;
+    case 'RestElement':
+      collectPatternDecls(pattern.argument, accu);
+      break;
+    }
+    return accu;
+  }
+
+  // the declarations introduced by a variable declarator: the declarator itself if it declares
+  // a single name, otherwise the identifiers in its pattern
+  function getDeclaratorDecls(decl) {
+    return decl.id.type === 'Identifier' ? [decl] : collectPatternDecls(decl.id, []);
+  }
+
   function collectDecls(nd, accu) {
     if(!nd)
       return accu;
     
     if(nd.type === 'FunctionDeclaration') {
-      accu[accu.length] = nd;
+      // anonymous function declarations only occur as default exports, and do not declare anything
+      if(nd.id)
+        accu[accu.length] = nd;
     } else if(nd.type === 'VariableDeclarator') {
-      accu[accu.length] = nd;
-    } else if(nd.type !== 'FunctionExpression') {
+      Array.prototype.push.apply(accu, getDeclaratorDecls(nd));
+    } else if(nd.type === 'VariableDeclaration' && isLexical(nd)) {
+      // block-scoped declarations are collected by collectLexicalDecls
+    } else if(nd.type !== 'FunctionExpression' && nd.type !== 'ArrowFunctionExpression') {
       ast.forEachChild(nd, function(ch) {
         collectDecls(ch, accu);
       });
@@ -41,6 +94,71 @@ define(function(require, exports) {
     return accu;
   }
   
+  function isLexical(decl) {
+    return decl.type === 'VariableDeclaration' && (decl.kind === 'let' || decl.kind === 'const');
+  }
+  
+  function collectLexicalDecls(stmts, accu) {
+    accu = accu || [];
+    if(stmts)
+      stmts.forEach(function(stmt) {
+        if(isExport(stmt) && stmt.declaration)
+          stmt = stmt.declaration;
+        if(isLexical(stmt))
+          stmt.declarations.forEach(function(decl) {
+            Array.prototype.push.apply(accu, getDeclaratorDecls(decl));
+          });
+        else if(stmt.type === 'ClassDeclaration' && stmt.id)
+          accu[accu.length] = stmt;
+      });
+    return accu;
+  }
+  
+  function isExport(stmt) {
+    return stmt.type === 'ExportNamedDeclaration' || stmt.type === 'ExportDefaultDeclaration';
+  }
+  
+  // collect the function declarations appearing directly in the statement list of a block or switch case
+  // nested inside nd; like all function declarations they are collected by collectDecls, but they are
+  // initialized when their block is entered
+  function collectBlockFunctions(nd, accu) {
+    accu = accu || [];
+    if(Array.isArray(nd)) {
+      nd.forEach(function(stmt) { collectBlockFunctions(stmt, accu); });
+      return accu;
+    }
+    if(!nd || nd.type === 'FunctionDeclaration' || nd.type === 'FunctionExpression' || nd.type === 'ArrowFunctionExpression')
+      return accu;
+
+    if(nd.type === 'BlockStatement' || nd.type === 'SwitchCase')
+      (nd.type === 'BlockStatement' ? nd.body : nd.consequent).forEach(function(stmt) {
+        if(stmt.type === 'FunctionDeclaration')
+          accu[accu.length] = stmt;
+      });
+    ast.forEachChild(nd, function(ch) {
+      collectBlockFunctions(ch, accu);
+    });
+    return accu;
+  }
+  
+  // collect the local identifiers bound by the import declarations in a list of statements
+  function collectImportDecls(stmts, accu) {
+    accu = accu || [];
+    stmts.forEach(function(stmt) {
+      if(stmt.type === 'ImportDeclaration')
+        stmt.specifiers.forEach(function(spec) {
+          accu[accu.length] = spec.local;
+        });
+    });
+    return accu;
+  }
+  
+  exports.collectBlockFunctions = collectBlockFunctions;
   exports.collectDecls = collectDecls;
+  exports.collectImportDecls = collectImportDecls;
+  exports.collectLexicalDecls = collectLexicalDecls;
+  exports.collectPatternDecls = collectPatternDecls;
+  exports.getDeclaratorDecls = getDeclaratorDecls;
+  exports.isLexical = isLexical;
   exports.getDeclName = getDeclName;
 });
\ No newline at end of file
@@ -22,22 +22,46 @@ define(function(require, exports) {
       cflow = require('./cflow'),
       decls = require('./decls'),
       scopes = require('./scope'),
-      position = require('../../common/lib/position');
+      position = require('../../common/lib/position'),
+      esprima = require('esprima');
 
   // for Array.prototype.flatmap
   require('./util');
   
+  /** Error thrown when (part of) a program cannot be normalized, either because it uses a construct the
+   *  normalizer does not support or because it is malformed. Property code is a string identifying the kind of
+   *  problem, node is the offending AST node, and pos is its position. */
+  function NormalizationError(code, message, node) {
+    this.name = 'NormalizationError';
+    this.code = code;
+    this.message = message;
+    this.node = node;
+    this.pos = node ? ast.getPosition(node) : position.DUMMY_POS;
+    if(Error.captureStackTrace)
+      Error.captureStackTrace(this, NormalizationError);
+  }
+  NormalizationError.prototype = Object.create(Error.prototype);
+  NormalizationError.prototype.constructor = NormalizationError;
+  
   /** Some AST helper functions. */
   function getBase(nd) {
     if(nd.type !== 'MemberExpression')
-      throw new Error("argument should be member expression");
+      throw new NormalizationError('NOT_A_MEMBER_EXPRESSION', "argument should be member expression", nd);
     return nd.object;
   }
   
   function getIndex(nd) {
     if(nd.type !== 'MemberExpression')
-      throw new Error("argument should be member expression");
-    return nd.computed ? nd.property : new ast.Literal(nd.property.name);
+      throw new NormalizationError('NOT_A_MEMBER_EXPRESSION', "argument should be member expression", nd);
+    if(nd.computed)
+      return nd.property;
+    // the literal takes over the position and provenance of the property name
+    var lit = new ast.Literal(nd.property.name);
+    if(ast.hasPosition(nd.property))
+      ast.setPosition(lit, ast.getPosition(nd.property));
+    if(ast.getAttribute(nd.property, 'provenance'))
+      ast.setAttribute(lit, 'provenance', ast.getAttribute(nd.property, 'provenance'));
+    return lit;
   }
   
   function isLoop(nd) {
@@ -46,6 +70,7 @@ define(function(require, exports) {
     case 'DoWhileStatement':
     case 'ForStatement':
     case 'ForInStatement':
+    case 'ForOfStatement':
       return true;
     case 'LabeledStatement':
       return isLoop(nd.body);
@@ -53,7 +78,124 @@ define(function(require, exports) {
       return false;
     }
   }
-  
+
+  function isFunction(nd) {
+    return nd.type === 'FunctionDeclaration' || nd.type === 'FunctionExpression' || nd.type === 'ArrowFunctionExpression';
+  }
+
+  /** Sets up provenance information on the original AST nd: every node is given an attribute 'provenance' of the
+   *  form { node: nd, role: role, parent: parent }, where role is the name of the property under which nd is stored
+   *  in its parent node (or null for the root), and an empty attribute 'derived' for the reverse index.
+   *
+   *  As these attributes link the original AST and the normalized AST in both directions, the property 'attr'
+   *  holding the attributes of an original node is made non-enumerable, so that the original AST can still be
+   *  traversed with for-in loops and serialized using JSON.stringify. */
+  function initProvenance(nd, role, parent) {
+    if(Array.isArray(nd))
+      return nd.forEach(function(elt) { initProvenance(elt, role, parent); });
+    if(!nd || typeof nd.type !== 'string')
+      return;
+    Object.defineProperty(nd, 'attr', { value: nd.attr || {}, writable: true, configurable: true, enumerable: false });
+    ast.setAttribute(nd, 'provenance', { node: nd, role: role, parent: parent });
+    ast.setAttribute(nd, 'derived', []);
+    for(var p in nd)
+      if(p !== 'attr' && p !== 'loc' && p !== 'range' && nd[p] && typeof nd[p] === 'object')
+        initProvenance(nd[p], p, nd);
+  }
+
+  /** Collects (as properties of accu) all names of the form prefix followed by a number that occur in nd,
+   *  either as identifiers or within string literals, which might be evaluated as code. */
+  function collectNamesWithPrefix(nd, prefix, accu) {
+    var regexp = new RegExp(prefix.replace(/[$]/g, '\\$&') + "[0-9]+", "g");
+    (function collect(nd) {
+      if(!nd || typeof nd !== 'object')
+        return;
+      if(Array.isArray(nd))
+        return nd.forEach(collect);
+
+      var m;
+      if(nd.type === 'Identifier' && nd.name.substring(0, prefix.length) === prefix)
+        accu[nd.name] = true;
+      else if(nd.type === 'Literal' && typeof nd.value === 'string')
+        while((m = regexp.exec(nd.value)))
+          accu[m[0]] = true;
+
+      for(var p in nd)
+        if(p !== 'attr' && p !== 'loc' && p !== 'range' && nd.hasOwnProperty(p))
+          collect(nd[p]);
+    })(nd);
+    return accu;
+  }
+
+  /** Checks whether nd contains a 'super' expression. */
+  function containsSuper(nd) {
+    if(Array.isArray(nd))
+      return nd.some(containsSuper);
+    if(!nd || typeof nd.type !== 'string')
+      return false;
+    return nd.type === 'Super' || ast.mapChildren(nd, containsSuper).some(Boolean);
+  }
+
+  /** Conservatively checks whether any of the given variable names occurs in nd; shadowing is not
+   *  taken into account. */
+  function occursIn(names, nd) {
+    if(Array.isArray(nd))
+      return nd.some(function(nd) { return occursIn(names, nd); });
+    if(!nd || typeof nd.type !== 'string')
+      return false;
+    if(nd.type === 'Identifier')
+      return names.indexOf(nd.name) !== -1;
+    return ast.mapChildren(nd, function(ch) { return occursIn(names, ch); }).some(Boolean);
+  }
+
+  /** Conservatively checks whether any of the given variable names is referenced from a function
+   *  nested inside nd; shadowing is not taken into account. */
+  function isCapturedIn(names, nd) {
+    function help(nd) {
+      if(Array.isArray(nd))
+        return nd.some(help);
+      if(!nd || typeof nd.type !== 'string')
+        return false;
+      if(isFunction(nd))
+        return occursIn(names, nd.body);
+      return ast.mapChildren(nd, help).some(Boolean);
+    }
+
+    return help(nd);
+  }
+
+  /** Checks whether nd contains a call to eval that may be a direct call, including calls in nested functions. */
+  function containsDirectEval(nd) {
+    if(Array.isArray(nd))
+      return nd.some(containsDirectEval);
+    if(!nd || typeof nd.type !== 'string')
+      return false;
+    if(nd.type === 'CallExpression' && nd.callee.type === 'Identifier' && nd.callee.name === 'eval')
+      return true;
+    return ast.mapChildren(nd, containsDirectEval).some(Boolean);
+  }
+
+  /** Creates a reference to the standard global called name (such as Object) for use in desugared code; it is
+   *  normalized into a read from __global, even if name is shadowed by a local variable or a 'with' statement. */
+  function mkBuiltin(name) {
+    var id = new ast.Identifier(name);
+    ast.setAttribute(id, 'isBuiltin', true);
+    return id;
+  }
+
+  /** Creates a "use strict" directive, which is emitted at the beginning of the body of every normalized
+   *  strict function and program. */
+  function mkUseStrict() {
+    var stmt = new ast.ExpressionStatement(new ast.Literal('use strict'));
+    stmt.directive = 'use strict';
+    return stmt;
+  }
+
+  /** Checks whether any of the given arguments or array elements is a spread element. */
+  function hasSpread(elements) {
+    return elements.some(function(elt) { return elt && elt.type === 'SpreadElement'; });
+  }
+
   /** Default options for the normalizer. */
   var default_options = {
     /** Ensure compatibility with previous implementation of normalizer. */
@@ -72,6 +214,30 @@ define(function(require, exports) {
      * implies 'true'. */
     unfold_ifs: false,
 
+    /** Normalize while and for loops into while(true) loops that evaluate their condition only
+     *  once per iteration, at the beginning of the body, and break out of the loop if it is false. */
+    single_loop_test: false,
+
+    /** Normalize switch statements into nested labeled blocks, so that the body of every case is only
+     *  normalized once, instead of copying the bodies of the cases it falls through into. */
+    switch_blocks: false,
+
+    /** Instead of throwing a NormalizationError, replace expressions and statements that cannot be normalized
+     *  by a statement of the form x = __unsupported(message). */
+    recover_unsupported: false,
+
+    /** Inline calls to eval and Function with constant string arguments by parsing and
+     *  normalizing the code they evaluate. */
+    inline_eval: false,
+
+    /** Prefix of the names of temporary variables and labels introduced by the normalizer; names
+     *  occurring in the program are never used. */
+    tmp_prefix: "tmp",
+
+    /** Whether to normalize the program as a 'script' or as a 'module'; by default, this is
+     *  determined by the 'sourceType' property of the program's AST. */
+    sourceType: null,
+
     /** Pretty-printer; doesn't do anything by default */
     pp: function() {}
   };
@@ -124,27 +290,65 @@ define(function(require, exports) {
     
     /** Counter for generating temporary variable names. */
     var tmpCount = 0;
-    var tmp_prefix = "tmp";
+    var tmp_prefix = options.tmp_prefix;
+    
+    /** Names in the program that could clash with temporary names. */
+    var used_names = collectNamesWithPrefix(nd, tmp_prefix, {});
+    
+    initProvenance(nd, null, null);
+    
+    /** All temporary names generated so far, mapped to true for the new names of block-scoped variables
+     *  and to false for all other temporary variables and labels. */
+    var tmp_names = {};
+    
+    /** Generate a fresh temporary name that does not occur in the program. */
+    function newTmpName(is_block_var) {
+      var name;
+      do {
+        name = tmp_prefix + (tmpCount++);
+      } while(used_names.hasOwnProperty(name));
+      tmp_names[name] = !!is_block_var;
+      return name;
+    }
     
     function isTmp(name) {
-      return name.substring(0, tmp_prefix.length) === tmp_prefix &&
-             Number(name.substring(tmp_prefix.length)) < tmpCount;
+      return tmp_names.hasOwnProperty(name);
+    }
+    
+    /** Returns the name of the temporary variable holding the value of 'this' or 'arguments' (as
+     *  given by kind) in the function with scope fn_scope, for use by nested arrow functions.
+     *  The temporary is declared and initialised when normalizeEntity finishes that function. */
+    function getLexicalTmp(fn_scope, kind) {
+      fn_scope.lexical_tmps = fn_scope.lexical_tmps || {};
+      return fn_scope.lexical_tmps[kind] || (fn_scope.lexical_tmps[kind] = newTmpName());
     }
     
+    /** Tagged template call sites encountered so far, each with the name of the temporary holding
+     *  its strings object; these objects are created at the beginning of the program, so that every
+     *  evaluation of a call site sees the same object. */
+    var template_sites = [];
+    
     /** Determine URL of program */
     var url = nd.url || options.url || "<unknown>";
     
+    /** Is the program an ES module? If so, its imports and exports are recorded in module_table. */
+    var is_module = (options.sourceType || nd.sourceType) === 'module';
+    var module_table = { imports: [], exports: [] };
+    
     /** Utility function to copy position information of old_node onto new_nodes,
      *  unless they already have positions. This copy is recursive, traversing
-     *  all child nodes of any new nodes that do not have positions yet. */
+     *  all child nodes of any new nodes that do not have positions yet. The new
+     *  nodes also inherit old_node's provenance link, which points to the
+     *  original node they were derived from. */
     function inheritPosition(new_nodes, old_node) {
-      var old_pos;
+      var old_pos, provenance = ast.getAttribute(old_node, 'provenance') || { node: old_node, role: null, parent: null };
       if(ast.hasPosition(old_node)) {
         old_pos = ast.getPosition(old_node);
       } else if(old_node.range && old_node.loc) {
         old_pos = new position.Position(url,
                                         old_node.loc.start.line, old_node.range[0],
-                                        old_node.loc.end.line, old_node.range[1]);
+                                        old_node.loc.end.line, old_node.range[1],
+                                        old_node.loc.start.column, old_node.loc.end.column);
       } else {
         old_pos = position.DUMMY_POS;
       }
@@ -154,6 +358,8 @@ define(function(require, exports) {
           nd.forEach(help);
         if(nd && typeof nd.type === 'string' && !ast.hasPosition(nd)) {
           ast.setPosition(nd, old_pos.clone());
+          if(!ast.getAttribute(nd, 'provenance'))
+            ast.setAttribute(nd, 'provenance', provenance);
           ast.forEachChild(nd, help);
         }
       }
@@ -162,6 +368,24 @@ define(function(require, exports) {
       return new_nodes;
     }
 
+    /** The innermost node currently being normalized by normalizeExpression or normalizeStatement. */
+    var cur_node = null;
+
+    /** Utility function for invoking normalize to normalize nd. Nodes synthesized during desugaring may
+     *  reach here without position and provenance; they inherit those of the enclosing node being
+     *  normalized, so that every normalized node can be traced back to the original program. */
+    function normalizeDerived(nd, normalize) {
+      if(cur_node && !ast.getAttribute(nd, 'provenance'))
+        inheritPosition(nd, cur_node);
+      var saved_node = cur_node;
+      cur_node = nd;
+      try {
+        return normalize();
+      } finally {
+        cur_node = saved_node;
+      }
+    }
+
     /** Utility function for attaching source code comment to normalized statements. */
     function attachComment(stmts) {
 	if(!stmts.length)
@@ -188,16 +412,97 @@ define(function(require, exports) {
       /** Declarations of temporary variables generated by the normalizer for this entity. */
       var tmps = [];
       
+      /** Block-scoped variables of this entity whose declaration has not been normalized yet;
+       *  accesses to them throw a ReferenceError. */
+      var uninitialized = decls.collectLexicalDecls(root.type === 'Program' ? root.body : root.body.type === 'BlockStatement' ? root.body.body : []);
+
+      /** Block-scoped variables of this entity that may or may not have been initialized when they are accessed,
+       *  since they are declared in one case of a 'switch' statement and accessed in a later one. Every entry
+       *  records the declaration and the temporary holding a flag that is set once the declaration is executed;
+       *  accesses check the flag and throw a ReferenceError if it is not set. */
+      var tdz_flags = [];
+
+      /** Since a direct eval may access block-scoped variables by their original names, they keep these names in
+       *  entities containing a direct eval, provided that this does not clash with another variable; the names
+       *  kept so far are recorded in kept_block_names. */
+      var may_eval = containsDirectEval(root.type === 'Program' ? root.body : root.body),
+          kept_block_names = [];
+
+      /** The scope determining the meaning of 'this' and 'arguments' in this entity; for arrow functions,
+       *  this is the scope of the closest enclosing function that is not an arrow function. */
+      var this_scope = scope.getThisScope();
+
       /** Helper function for generating one new temporary name.
-       *  If isLbl is true, the new name is to be used as a label and should not be entered
-       *  into the tmps array. */
+       *  If isLbl is true, the new name is to be used as a label or as the new name of a
+       *  block-scoped variable, and should not be entered into the tmps array. */
       function genTmp(isLbl) {
-        var name = tmp_prefix + (tmpCount++);
+        var name = newTmpName();
         if(!isLbl)
           tmps[tmps.length] = new ast.VariableDeclarator(new ast.Identifier(name), null);
         return name;
       }
       
+      /** Labels of loops in this entity: every entry records the (innermost) loop labeled by label, and,
+       *  once the loop has been normalized, the label cont that 'continue label' is translated into a break of. */
+      var loop_labels = [];
+      
+      /** Generate the label marking the end of the body of loop nd, which is the target of 'continue' statements
+       *  for that loop. */
+      function genContLabel(nd) {
+        var lbl = genTmp(true);
+        loop_labels.forEach(function(entry) {
+          if(entry.loop === nd)
+            entry.cont = lbl;
+        });
+        return lbl;
+      }
+      
+      /** Record that loop nd is desugared into loop new_loop, which takes over its labels. */
+      function transferLoopLabels(nd, new_loop) {
+        loop_labels.forEach(function(entry) {
+          if(entry.loop === nd)
+            entry.loop = new_loop;
+        });
+        return new_loop;
+      }
+      
+      /** Generate the statements that compute the condition test of a loop into condtmp, and break out of
+       *  the loop labeled brk_lbl if it is false. */
+      function mkLoopTest(test, condtmp, brk_lbl) {
+        return normalizeExpression(test, condtmp)
+               .concat(mkIf(condtmp, [], [new ast.BreakStatement(new ast.Identifier(brk_lbl))]));
+      }
+      
+      /** Normalize the list of arguments or array elements of nd, which contains spread elements, into code constructing
+       *  an array of their values in target: runs of ordinary elements become array literals, the values of spread
+       *  elements are collected into arrays using the iterator protocol (by desugaring them into a rest pattern
+       *  [...piece] = e), and the pieces are joined using 'concat'. */
+      function normalizeSpreadArray(nd, elements, target) {
+        var res = [], pieces = [], run = [];
+        function flushRun() {
+          if(run.length) {
+            var piece = genTmp();
+            res = res.concat(normalizeExpression(inheritPosition(new ast.ArrayExpression(run), nd), piece));
+            pieces.push(piece);
+            run = [];
+          }
+        }
+        elements.forEach(function(elt) {
+          if(elt && elt.type === 'SpreadElement') {
+            flushRun();
+            var val = genTmp(), piece = genTmp();
+            res = res.concat(normalizeExpression(elt.argument, val),
+                             normalizePattern(inheritPosition(new ast.ArrayPattern([new ast.RestElement(new ast.Identifier(piece))]), elt), val));
+            pieces.push(piece);
+          } else {
+            run.push(elt);
+          }
+        });
+        flushRun();
+        return res.concat(normalizeExpression(inheritPosition(new ast.CallExpression(new ast.MemberExpression(new ast.Identifier(pieces[0]), new ast.Identifier('concat'), false),
+                                                                                     pieces.slice(1).map(function(piece) { return new ast.Identifier(piece); })), nd), target));
+      }
+      
       /** Generate n new temporary names. */
       function genTmps(n) {
         var res = [];
@@ -205,7 +510,73 @@ define(function(require, exports) {
           res[i] = genTmp();
         return res;
       }
-      
+
+      /** Normalizes the assignment initializing the variable declared by a function declaration; it is
+       *  placed at the start of the function or program, or of the block the declaration appears in. */
+      function normalizeFunctionDecl(decl) {
+        return normalizeExpression(inheritPosition(new ast.AssignmentExpression('=', new ast.Identifier(decl.id.name),
+                                                                                     new ast.FunctionExpression(options.backwards_compatible ? decl.id : null,
+                                                                                                                decl.params, decl.body, decl.generator, decl.async)), decl));
+      }
+
+      /** Enters a new block scope for the given block-scoped declarations, and returns
+       *  a 'let' declaration for their new names. */
+      function enterBlockScope(block_decls) {
+        scope = new scopes.BlockScope(scope, block_decls, function(x) {
+          if(!may_eval || !scope.isGlobal(x) || kept_block_names.indexOf(x) !== -1)
+            return newTmpName(true);
+          kept_block_names.push(x);
+          return x;
+        });
+        Array.prototype.push.apply(uninitialized, block_decls);
+        return new ast.VariableDeclaration(scope.getLocalNames().map(function(x) { return new ast.VariableDeclarator(new ast.Identifier(x), null); }),
+                                           'let');
+      }
+
+      /** Records that the block-scoped variables declared by decl may be accessed from now on. */
+      function markInitialized(decl) {
+        (decl.type === 'VariableDeclarator' ? decls.getDeclaratorDecls(decl) : [decl]).forEach(function(decl) {
+          var i = uninitialized.indexOf(decl);
+          if(i !== -1)
+            uninitialized.splice(i, 1);
+        });
+      }
+
+      /** Checks whether variable x is block-scoped and accessed before its declaration. */
+      function inTDZ(x) {
+        var decl = scope.lookup(x);
+        return !!decl && uninitialized.indexOf(decl) !== -1 && !scope.possibleWithBindings(x).length;
+      }
+
+      /** Returns the temporary holding the flag that records whether block-scoped variable x has been initialized,
+       *  if this can only be determined at runtime, and null otherwise. */
+      function getTDZFlag(x) {
+        var decl = scope.lookup(x);
+        for(var i=0;i<tdz_flags.length;++i)
+          if(tdz_flags[i].decl === decl && tdz_flags[i].active)
+            return tdz_flags[i].flag;
+        return null;
+      }
+
+      /** Generates code to throw a new instance of the global constructor with the given name while
+       *  normalizing nd. */
+      function mkThrow(ctor, nd) {
+        // check for shadowing; give up if this happens
+        // TODO: even if it isn't shadowed, some clown may have overwritten it...
+        if(!scope.isGlobal(ctor))
+          throw new NormalizationError('SHADOWED_GLOBAL', "global variable " + ctor + " is shadowed", nd);
+
+        /* tmp = 'ctor';
+         * tmp2 = __global[tmp];
+         * tmp3 = new tmp2();
+         * throw tmp3; */
+        var tmp = genTmp(), tmp2 = genTmp(), tmp3 = genTmp();
+        return [new ast.ExpressionStatement(new ast.AssignmentExpression('=', new ast.Identifier(tmp), new ast.Literal(ctor))),
+                new ast.ExpressionStatement(new ast.AssignmentExpression('=', new ast.Identifier(tmp2), new ast.MemberExpression(new ast.Identifier('__global'), new ast.Identifier(tmp), true))),
+                new ast.ExpressionStatement(new ast.AssignmentExpression('=', new ast.Identifier(tmp3), new ast.NewExpression(new ast.Identifier(tmp2), []))),
+                new ast.ThrowStatement(new ast.Identifier(tmp3))];
+      }
+
       /** When unifying return statements, every function gets a return label and a return
        *  variable. The body is wrapped into a block of the form
        *  
@@ -219,15 +590,49 @@ define(function(require, exports) {
        *  Then, every return statement <code>return e;</code> is replaced by
        *  <code>ret_var = e; break ret_label;</code>. */
       var ret_label = null, ret_var = null;
-      if(options.unify_ret && (root.type === 'FunctionDeclaration' ||
-                               root.type === 'FunctionExpression')) {
+      if(options.unify_ret && isFunction(root)) {
         ret_label = genTmp(true);
         ret_var = genTmp();
       }
       
+      /** With option recover_unsupported, invokes normalize to normalize nd, and if it throws a NormalizationError,
+       *  discards its partial result and returns x = __unsupported(message) instead, where x is target (or a new
+       *  temporary); otherwise, simply invokes normalize.
+       *
+       *  The scope, loop labels and temporal dead zone flags are reset to their state before nd was normalized,
+       *  and block-scoped variables declared by nd are considered initialized afterwards. Other effects of the
+       *  partial normalization remain: temporaries generated for it are still declared, and so are variables
+       *  declared by code inlined from eval and the strings objects of tagged template call sites. */
+      function recoverUnsupported(nd, target, normalize) {
+        if(!options.recover_unsupported)
+          return normalize();
+        var saved_scope = scope, saved_loop_labels = loop_labels.length, saved_tdz_flags = tdz_flags.length;
+        try {
+          return normalize();
+        } catch(e) {
+          if(!(e instanceof NormalizationError))
+            throw e;
+          scope = saved_scope;
+          loop_labels.length = saved_loop_labels;
+          tdz_flags.length = saved_tdz_flags;
+          if(nd.type === 'VariableDeclarator')
+            markInitialized(nd);
+          else
+            decls.collectLexicalDecls([nd]).forEach(markInitialized);
+          return inheritPosition([new ast.ExpressionStatement(new ast.AssignmentExpression('=', new ast.Identifier(target || genTmp()),
+                                                                                            new ast.CallExpression(new ast.Identifier('__unsupported'), [new ast.Literal(e.message)])))], nd);
+        }
+      }
+      
       /** Normalize an expression with the given target variable. If the target is null,
        *  a new temporary name is generated when necessary. */
       function normalizeExpression(nd, target) {
+        return normalizeDerived(nd, function() {
+          return recoverUnsupported(nd, target, function() { return normalizeExpressionOrFail(nd, target); });
+        });
+      }
+      
+      function normalizeExpressionOrFail(nd, target) {
         var res;
         function getTarget() {
           return target || (target = genTmp());
@@ -240,6 +645,20 @@ define(function(require, exports) {
           break;
       
         case 'Identifier':
+          if(ast.getAttribute(nd, 'isBuiltin')) {
+            // tmp = 'name'; target = __global[tmp];
+            var tmp = genTmp();
+            res = [new ast.ExpressionStatement(new ast.AssignmentExpression('=', new ast.Identifier(tmp), new ast.Literal(nd.name))),
+                   new ast.ExpressionStatement(new ast.AssignmentExpression('=', new ast.Identifier(getTarget()),
+                                                                                 new ast.MemberExpression(new ast.Identifier('__global'), new ast.Identifier(tmp), true)))];
+            break;
+          }
+
+          if(inTDZ(nd.name)) {
+            res = mkThrow('ReferenceError', nd);
+            break;
+          }
+
           var tmp = null;
           if(!isTmp(nd.name) && scope.isGlobal(nd.name)) {
             // global reads are rewritten into property accesses on __global; however, reading an undeclared, undefined global
@@ -255,11 +674,6 @@ define(function(require, exports) {
               res[1] = new ast.ExpressionStatement(new ast.AssignmentExpression('=', new ast.Identifier(getTarget()),
                                                                                      new ast.MemberExpression(new ast.Identifier('__global'), new ast.Identifier(tmp), true)));
             } else {
-              // check for shadowing of ReferenceError; give up if this happens
-              // TODO: even if it isn't shadowed, some clown may have overwritten ReferenceError...
-              if(!scope.isGlobal('ReferenceError'))
-                throw new Error("global variable ReferenceError is shadowed");
-            
               /* tmp2 = x in __global;
                * if(tmp2) {
                *   target = __global[tmp2];
@@ -269,22 +683,27 @@ define(function(require, exports) {
                *   tmp5 = new tmp4();
                *   throw tmp5;
                * } */
-              var tmp2 = genTmp(), tmp3 = genTmp(), tmp4 = genTmp(), tmp5 = genTmp();
+              var tmp2 = genTmp(), throw_stmts = mkThrow('ReferenceError', nd);
               res = res.concat(new ast.ExpressionStatement(new ast.AssignmentExpression('=', new ast.Identifier(tmp2), new ast.BinaryExpression('in', new ast.Identifier(tmp), new ast.Identifier('__global')))),
                                mkIf(tmp2,
                                     [new ast.ExpressionStatement(new ast.AssignmentExpression('=', new ast.Identifier(getTarget()), new ast.MemberExpression(new ast.Identifier('__global'), new ast.Identifier(tmp), true)))],
-                                    [new ast.ExpressionStatement(new ast.AssignmentExpression('=', new ast.Identifier(tmp3), new ast.Literal('ReferenceError'))),
-                                     new ast.ExpressionStatement(new ast.AssignmentExpression('=', new ast.Identifier(tmp4), new ast.MemberExpression(new ast.Identifier('__global'), new ast.Identifier(tmp3), true))),
-                                     new ast.ExpressionStatement(new ast.AssignmentExpression('=', new ast.Identifier(tmp5), new ast.NewExpression(new ast.Identifier(tmp4), []))),
-                                     new ast.ThrowStatement(new ast.Identifier(tmp5))]));
+                                    throw_stmts));
             }
+          } else if(nd.name === 'arguments' && root.type === 'ArrowFunctionExpression' && !scope.lookup(nd.name)) {
+            // 'arguments' inside an arrow function refers to the 'arguments' of the enclosing function
+            res = [new ast.ExpressionStatement(new ast.AssignmentExpression('=', new ast.Identifier(getTarget()), new ast.Identifier(getLexicalTmp(this_scope, 'arguments'))))];
           } else {
             // locals are easy: target = x;
-            res = [new ast.ExpressionStatement(new ast.AssignmentExpression('=', new ast.Identifier(getTarget()), new ast.Identifier(nd.name)))];
+            res = [new ast.ExpressionStatement(new ast.AssignmentExpression('=', new ast.Identifier(getTarget()), new ast.Identifier(scope.resolve(nd.name))))];
+            
+            // if x may be in its temporal dead zone, check its flag: if(flag) { target = x; } else { throw ... }
+            var tdz_flag = getTDZFlag(nd.name);
+            if(tdz_flag)
+              res = mkIf(tdz_flag, res, mkThrow('ReferenceError', nd));
           }
         
-          // handle possible 'with' bindings
-          var with_bindings = scope.possibleWithBindings(nd.name);
+          // handle possible 'with' bindings; temporaries cannot be bound by 'with'
+          var with_bindings = isTmp(nd.name) ? [] : scope.possibleWithBindings(nd.name);
           if(with_bindings.length) {
             var prelude = null;
           
@@ -318,6 +737,11 @@ define(function(require, exports) {
           break;
         
         case 'ArrayExpression':
+          if(hasSpread(nd.elements)) {
+            res = normalizeSpreadArray(nd, nd.elements, getTarget());
+            break;
+          }
+
           // allocate one temporary variable per array element (y1, ..., yn)
           var elt_tmps = genTmps(nd.elements.length);
           // recursively normalize array element expressions, skipping over omitted elements; the temporary will then
@@ -329,29 +753,7 @@ define(function(require, exports) {
           break;
           
         case 'ObjectExpression':
-          // allocate one temporary variable per property; we may not need all of them if there are getters or setters
-          var prop_tmps = genTmps(nd.properties.length);
-          var props = [];
-          var body = nd.properties.flatmap(function(prop, i) {
-            switch(prop.kind) {
-            case 'init':
-              props[props.length] = new ast.Property(prop.key, new ast.Identifier(prop_tmps[i]), 'init');
-              inheritPosition(props[props.length-1], prop);
-              // recursively normalize property value expression
-              return normalizeExpression(prop.value, prop_tmps[i]);
-            case 'get':
-            case 'set':
-              // recursively normalize getter/setter
-              var funexpr = normalizeEntity(prop.value, new scopes.FunctionScope(scope, prop.value));
-              props[props.length] = new ast.Property(prop.key, funexpr, prop.kind);
-              inheritPosition(props[props.length-1], prop);
-              return [];
-            default:
-              throw new Error();
-            }
-          });
-          res =  body.concat(new ast.ExpressionStatement(new ast.AssignmentExpression('=', new ast.Identifier(getTarget()),
-                                                                                           new ast.ObjectExpression(props))));
+          res = normalizeObjectExpression(nd, getTarget);
           break;
           
         case 'MemberExpression':
@@ -366,41 +768,140 @@ define(function(require, exports) {
                              new ast.ExpressionStatement(new ast.AssignmentExpression('=', new ast.Identifier(getTarget()), idx)));
           break;
           
+        case 'ChainExpression':
+          res = normalizeChain(nd.expression, target);
+          break;
+          
         case 'ThisExpression':
-          if(scope instanceof scopes.GlobalScope)
+          if(this_scope instanceof scopes.ModuleScope)
+            res = normalizeExpression(inheritPosition(new ast.UnaryExpression('void', new ast.Literal(0)), nd), getTarget());
+          else if(this_scope instanceof scopes.GlobalScope)
             res =  [new ast.ExpressionStatement(new ast.AssignmentExpression('=', new ast.Identifier(getTarget()), new ast.Identifier('__global')))];
+          else if(root.type === 'ArrowFunctionExpression')
+            res =  [new ast.ExpressionStatement(new ast.AssignmentExpression('=', new ast.Identifier(getTarget()), new ast.Identifier(getLexicalTmp(this_scope, 'this'))))];
           else
             res =  [new ast.ExpressionStatement(new ast.AssignmentExpression('=', new ast.Identifier(getTarget()), new ast.ThisExpression()))];
           break;
           
         case 'FunctionExpression':
+        case 'ArrowFunctionExpression':
           var fn = normalizeEntity(nd, new scopes.FunctionScope(scope, nd));
           res = [new ast.ExpressionStatement(new ast.AssignmentExpression('=', new ast.Identifier(getTarget()), fn))];
           break;
+          
+        case 'ClassDeclaration':
+        case 'ClassExpression':
+          res = normalizeClass(nd, getTarget());
+          break;
+          
+        // `s0${e1}s1...${en}sn` becomes s0 + t1 + s1 + ... + tn + sn, omitting empty strings, where every ti is
+        // computed in order by converting ei to a string; like ToString, the conversion throws on symbols:
+        //   ti = ei; if(typeof ti === 'symbol') throw new TypeError(); ti = String(ti);
+        case 'TemplateLiteral':
+          var parts = [];
+          res = [];
+          nd.quasis.forEach(function(quasi, i) {
+            if(quasi.value.cooked)
+              parts.push(inheritPosition(new ast.Literal(quasi.value.cooked), quasi));
+            if(i < nd.expressions.length) {
+              var expr = nd.expressions[i], str_tmp = genTmp();
+              res = res.concat(normalizeExpression(expr, str_tmp),
+                               normalizeStatement(inheritPosition(new ast.IfStatement(new ast.BinaryExpression('===', new ast.UnaryExpression('typeof', new ast.Identifier(str_tmp)), new ast.Literal('symbol')),
+                                                                                      new ast.ThrowStatement(new ast.NewExpression(mkBuiltin('TypeError'), [])), null), expr)),
+                               normalizeExpression(inheritPosition(new ast.CallExpression(mkBuiltin('String'), [new ast.Identifier(str_tmp)]), expr), str_tmp));
+              parts.push(new ast.Identifier(str_tmp));
+            }
+          });
+          var concat = parts.length ? parts.reduce(function(l, r) { return new ast.BinaryExpression('+', l, r); }) : new ast.Literal("");
+          res = res.concat(normalizeExpression(inheritPosition(concat, nd), getTarget()));
+          break;
+          
+        // tag`s0${e1}s1...${en}sn` becomes tag(site, e1, ..., en), where site holds the strings object of the call site;
+        // the resulting call is marked with attribute 'templateSite' giving the name of that variable
+        case 'TaggedTemplateExpression':
+          var site = newTmpName();
+          template_sites.push({ name: site, quasi: nd.quasi });
+          res = normalizeExpression(inheritPosition(new ast.CallExpression(nd.tag, [new ast.Identifier(site)].concat(nd.quasi.expressions)), nd), getTarget());
+          
+          // find the call, which receives a copy of site as its first argument
+          var copies = [site];
+          (function mark(nd) {
+            if(Array.isArray(nd)) {
+              nd.forEach(mark);
+            } else if(nd && typeof nd.type === 'string' && nd.type !== 'FunctionExpression') {
+              if(nd.type === 'AssignmentExpression' && nd.left.type === 'Identifier' && nd.right.type === 'Identifier' && copies.indexOf(nd.right.name) !== -1)
+                copies.push(nd.left.name);
+              else if(nd.type === 'CallExpression' && nd.arguments.length && copies.indexOf(nd.arguments[0].name) !== -1)
+                ast.setAttribute(nd, 'templateSite', site);
+              ast.forEachChild(nd, mark);
+            }
+          })(res);
+          break;
+          
+        // x = yield y; and x = yield* y; are JSNF statements
+        case 'YieldExpression':
+          var tmp = genTmp();
+          res = normalizeExpression(nd.argument || inheritPosition(new ast.UnaryExpression('void', new ast.Literal(0)), nd), tmp)
+               .concat(new ast.ExpressionStatement(new ast.AssignmentExpression('=', new ast.Identifier(getTarget()), new ast.YieldExpression(new ast.Identifier(tmp), !!nd.delegate))));
+          break;
+          
+        // x = await y; is a JSNF statement, which is marked with attribute 'isAwait'
+        case 'AwaitExpression':
+          var tmp = genTmp();
+          res = normalizeExpression(nd.argument, tmp)
+               .concat(ast.setAttribute(new ast.ExpressionStatement(new ast.AssignmentExpression('=', new ast.Identifier(getTarget()), new ast.AwaitExpression(new ast.Identifier(tmp)))),
+                                        'isAwait', true));
+          break;
+          
+        // 'super' by itself evaluates to the home object of the enclosing method; in object literal methods,
+        // it is the current prototype of the object holding the method, which is looked up at every access
+        case 'Super':
+          if(!this_scope.home || !this_scope.home.object && !this_scope.home.proto_of)
+            throw new NormalizationError('INVALID_SUPER', "'super' outside of method", nd);
+          if(this_scope.home.proto_of)
+            res = normalizeExpression(new ast.CallExpression(new ast.MemberExpression(mkBuiltin('Object'), new ast.Identifier('getPrototypeOf'), false),
+                                                             [new ast.Identifier(this_scope.home.proto_of)]), getTarget());
+          else
+            res = [new ast.ExpressionStatement(new ast.AssignmentExpression('=', new ast.Identifier(getTarget()), new ast.Identifier(this_scope.home.object)))];
+          break;
         
         case 'AssignmentExpression':
           if(nd.operator === '=') {
             // simple assignments are handled similar to case 'Identifier' above
             if(nd.left.type === 'Identifier') {
               var res, tmp = null, right;
-              var with_bindings = scope.possibleWithBindings(nd.left.name);
+              var with_bindings = isTmp(nd.left.name) ? [] : scope.possibleWithBindings(nd.left.name);
               if(!isTmp(nd.left.name) && scope.isGlobal(nd.left.name)) {
                 tmp = genTmp();
                 right = normalizeExpression(nd.right, getTarget());
                 res = [new ast.ExpressionStatement(new ast.AssignmentExpression('=', new ast.Identifier(tmp), new ast.Literal(nd.left.name))),
                        new ast.ExpressionStatement(new ast.AssignmentExpression('=', new ast.MemberExpression(new ast.Identifier('__global'), new ast.Identifier(tmp), true),
                                                                                      new ast.Identifier(getTarget())))];
+                
+                // in strict mode code, writing to an undeclared, undefined global throws a ReferenceError:
+                //   tmp2 = tmp in __global; if(tmp2) { __global[tmp] = target; } else { throw new ReferenceError(); }
+                if(scope.isStrict() && !scope.isDeclaredGlobal(nd.left.name)) {
+                  var tmp2 = genTmp();
+                  res = [res[0], new ast.ExpressionStatement(new ast.AssignmentExpression('=', new ast.Identifier(tmp2), new ast.BinaryExpression('in', new ast.Identifier(tmp), new ast.Identifier('__global'))))]
+                        .concat(mkIf(tmp2, [res[1]], mkThrow('ReferenceError', nd)));
+                }
+              } else if(!isTmp(nd.left.name) && scope.isFunctionExpressionName(nd.left.name)) {
+                // the name of a named function expression is immutable: assigning to it is a no-op
+                // in sloppy mode, and throws a TypeError in strict mode
+                right = normalizeExpression(nd.right, getTarget());
+                res = scope.isStrict() ? mkThrow('TypeError', nd) : [];
               } else {
                 // mark variables that are written across scopes
-                if(!scope.isLocal(nd.left.name))
+                if(!isTmp(nd.left.name) && !scope.isLocal(nd.left.name) && scope.lookup(nd.left.name))
                   ast.setAttribute(scope.lookup(nd.left.name), 'exposed', true);
               
+                var name = scope.resolve(nd.left.name);
                 if(target || with_bindings.length) {
                   right = normalizeExpression(nd.right, getTarget());
-                  res = [new ast.ExpressionStatement(new ast.AssignmentExpression('=', new ast.Identifier(nd.left.name), new ast.Identifier(getTarget())))];
+                  res = [new ast.ExpressionStatement(new ast.AssignmentExpression('=', new ast.Identifier(name), new ast.Identifier(getTarget())))];
                 } else {
-                  target = nd.left.name;
-                  right = normalizeExpression(nd.right, nd.left.name);
+                  target = name;
+                  right = normalizeExpression(nd.right, name);
                   res = [];
                 }
               }
@@ -439,8 +940,25 @@ define(function(require, exports) {
             
               var rhs_comp = normalizeExpression(nd.right, getTarget());
               res = base.concat(index, rhs_comp, new ast.ExpressionStatement(new ast.AssignmentExpression('=', lhs, new ast.Identifier(getTarget()))));
+            } else if(nd.left.type === 'ObjectPattern' || nd.left.type === 'ArrayPattern') {
+              // destructuring assignment; its value is the value of the right hand side
+              res = normalizeExpression(nd.right, getTarget()).concat(normalizePattern(nd.left, getTarget()));
             } else {
-              throw new Error("unexpected lhs of type " + nd.left.type);
+              throw new NormalizationError('INVALID_ASSIGNMENT_TARGET', "unexpected lhs of type " + nd.left.type, nd.left);
+            }
+          } else if(nd.operator === '&&=' || nd.operator === '||=' || nd.operator === '??=') {
+            // logical assignments a op= e are desugared into a op (a = e), evaluating the base and index of a member expression only once
+            var op = nd.operator.substring(0, nd.operator.length-1);
+            if(nd.left.type === 'Identifier') {
+              res = normalizeExpression(inheritPosition(new ast.LogicalExpression(op, nd.left, new ast.AssignmentExpression('=', nd.left, nd.right)), nd), target);
+            } else if(nd.left.type === 'MemberExpression') {
+              var base_tmp = genTmp(), index_tmp = genTmp();
+              var lhs = new ast.MemberExpression(new ast.Identifier(base_tmp), new ast.Identifier(index_tmp), true);
+              res = normalizeExpression(getBase(nd.left), base_tmp)
+                   .concat(normalizeExpression(getIndex(nd.left), index_tmp),
+                           normalizeExpression(inheritPosition(new ast.LogicalExpression(op, lhs, new ast.AssignmentExpression('=', lhs, nd.right)), nd), target));
+            } else {
+              throw new NormalizationError('INVALID_ASSIGNMENT_TARGET', "unexpected lhs of type " + nd.left.type, nd.left);
             }
           } else {
             // compound assignments are desugared into normal assignments and then rewritten recursively
@@ -464,13 +982,56 @@ define(function(require, exports) {
                                                                                          new ast.BinaryExpression(op, new ast.Identifier(extra), new ast.Identifier(tmp)))),
                            new ast.ExpressionStatement(new ast.AssignmentExpression('=', new ast.MemberExpression(new ast.Identifier(base_tmp), new ast.Identifier(index_tmp), true), new ast.Identifier(target))));
             } else {
-              throw new Error("unexpected lhs");
+              throw new NormalizationError('INVALID_ASSIGNMENT_TARGET', "unexpected lhs of type " + nd.left.type, nd.left);
             }
           }
           break;
         
         case 'CallExpression':
-          if(nd.callee.type === 'MemberExpression') {
+          var code = options.inline_eval && getConstantCode(nd);
+          if(code) {
+            res = normalizeConstantCode(code, target);
+            break;
+          }
+
+          if(nd.callee.type === 'Super' || nd.callee.type === 'MemberExpression' && nd.callee.object.type === 'Super') {
+            // super(...) becomes super_ctor.call(this, ...), super.m(...) becomes home.m.call(this, ...)
+            var fn;
+            if(nd.callee.type === 'Super') {
+              if(!this_scope.home || !this_scope.home.ctor)
+                throw new NormalizationError('INVALID_SUPER', "super call outside of derived constructor", nd);
+              fn = new ast.Identifier(this_scope.home.ctor);
+            } else {
+              fn = nd.callee;
+            }
+            res = normalizeExpression(new ast.CallExpression(new ast.MemberExpression(fn, new ast.Identifier('call'), false),
+                                                             [new ast.ThisExpression()].concat(nd.arguments)), getTarget());
+            break;
+          } else if(nd.callee.type === 'ChainExpression' && nd.callee.expression.type === 'MemberExpression') {
+            // (o?.m)(...) is a method call with receiver o, so it becomes fn = o?.m; fn.call(base, ...), where base holds the value of o
+            var fn_tmp = genTmp(), base_tmp = genTmp();
+            res = normalizeChain(nd.callee.expression, fn_tmp, base_tmp)
+                 .concat(normalizeExpression(inheritPosition(new ast.CallExpression(new ast.MemberExpression(new ast.Identifier(fn_tmp), new ast.Identifier('call'), false),
+                                                                                    [new ast.Identifier(base_tmp)].concat(nd.arguments)), nd), getTarget()));
+            break;
+          } else if(hasSpread(nd.arguments)) {
+            // calls with spread arguments become calls to 'apply' with an array of arguments:
+            // o.m(...a) becomes tmp = o; fn = tmp.m; args = [...]; fn.apply(tmp, args), and f(...a) becomes fn = f; args = [...]; fn.apply(void 0, args)
+            var fn_tmp = genTmp(), args_tmp = genTmp(), receiver;
+            if(nd.callee.type === 'MemberExpression') {
+              var base_tmp = genTmp();
+              res = normalizeExpression(nd.callee.object, base_tmp)
+                   .concat(normalizeExpression(inheritPosition(new ast.MemberExpression(new ast.Identifier(base_tmp), nd.callee.property, nd.callee.computed), nd.callee), fn_tmp));
+              receiver = new ast.Identifier(base_tmp);
+            } else {
+              res = normalizeExpression(nd.callee, fn_tmp);
+              receiver = new ast.UnaryExpression('void', new ast.Literal(0));
+            }
+            res = res.concat(normalizeSpreadArray(nd, nd.arguments, args_tmp),
+                             normalizeExpression(inheritPosition(new ast.CallExpression(new ast.MemberExpression(new ast.Identifier(fn_tmp), new ast.Identifier('apply'), false),
+                                                                                        [receiver, new ast.Identifier(args_tmp)]), nd), getTarget()));
+            break;
+          } else if(nd.callee.type === 'MemberExpression') {
             var base_tmp = genTmp(), index_tmp = genTmp();
             var base = normalizeExpression(getBase(nd.callee), base_tmp);
             var index = normalizeExpression(getIndex(nd.callee), index_tmp);
@@ -486,44 +1047,58 @@ define(function(require, exports) {
                                                                                             new ast.CallExpression(callee, arg_tmps.map(function(tmp) { return new ast.Identifier(tmp); })))));
             break;
           } else if(nd.callee.type === 'Identifier') {
-            if(nd.callee.name === 'eval') {
-              // TODO: handle 'eval' inside 'with'
-              var arg_tmps = genTmps(nd.arguments.length);
-              var args = nd.arguments.flatmap(function(arg, i) { return normalizeExpression(arg, arg_tmps[i]); });
-              res = args.concat(new ast.ExpressionStatement(new ast.AssignmentExpression('=', new ast.Identifier(getTarget()),
-                                                                                              new ast.CallExpression(nd.callee, arg_tmps.map(function(tmp) { return new ast.Identifier(tmp); })))));
-            } else {
-              var tmp = genTmp();
-              var fn = normalizeExpression(nd.callee, tmp);
-              var arg_tmps = genTmps(nd.arguments.length);
-              var args = nd.arguments.flatmap(function(arg, i) { return normalizeExpression(arg, arg_tmps[i]); });
-              res = [new ast.ExpressionStatement(new ast.AssignmentExpression('=', new ast.Identifier(getTarget()),
-                                                                                   new ast[nd.type](new ast.Identifier(tmp), arg_tmps.map(function(tmp) { return new ast.Identifier(tmp); }))))];
+            // direct calls to eval are left alone, except that they record the local variables they may access
+            var is_direct_eval = nd.callee.name === 'eval' && scope.isGlobal('eval');
+            var tmp = is_direct_eval ? null : genTmp();
+            var fn = is_direct_eval ? [] : normalizeExpression(nd.callee, tmp);
+            var arg_tmps = genTmps(nd.arguments.length);
+            var args = nd.arguments.flatmap(function(arg, i) { return normalizeExpression(arg, arg_tmps[i]); });
+            var call = new ast[nd.type](is_direct_eval ? nd.callee : new ast.Identifier(tmp), arg_tmps.map(function(tmp) { return new ast.Identifier(tmp); }));
+            if(is_direct_eval)
+              ast.setAttribute(call, 'evalLocals', recordDirectEval());
+            res = [new ast.ExpressionStatement(new ast.AssignmentExpression('=', new ast.Identifier(getTarget()), call))];
+          
+            // inside 'with', the callee may be a property of the 'with' object, in which case it is invoked as a method;
+            // in particular, this makes a call to eval indirect
+            var with_bindings = scope.possibleWithBindings(nd.callee.name);
+            if(with_bindings.length) {
+              var name_tmp = genTmp();
+              var prelude = new ast.ExpressionStatement(new ast.AssignmentExpression('=', new ast.Identifier(name_tmp), new ast.Literal(nd.callee.name))); 
             
-              var with_bindings = scope.possibleWithBindings(nd.callee.name);
-              if(with_bindings.length) {
-                var name_tmp = genTmp();
-                var prelude = new ast.ExpressionStatement(new ast.AssignmentExpression('=', new ast.Identifier(name_tmp), new ast.Literal(nd.callee.name))); 
-              
-                with_bindings.forEach(function(with_var) {
-                  var tmp2 = genTmp();
-                  res = [new ast.ExpressionStatement(new ast.AssignmentExpression('=', new ast.Identifier(tmp2), new ast.BinaryExpression('in', new ast.Identifier(name_tmp), new ast.Identifier(with_var)))),
-                         new ast.IfStatement(new ast.Identifier(tmp2),
-                                             mkBlock([new ast.ExpressionStatement(new ast.AssignmentExpression('=', new ast.Identifier(getTarget()),
-                                                                                                                    new ast.CallExpression(new ast.MemberExpression(new ast.Identifier(with_var), new ast.Identifier(name_tmp), true), 
-                                                                                                                                           arg_tmps.map(function(tmp) { return new ast.Identifier(tmp); }))))]),
-                                             mkBlock(res))];
-                });
-              
-                res.unshift(prelude);
-              }
+              with_bindings.forEach(function(with_var) {
+                var tmp2 = genTmp();
+                res = [new ast.ExpressionStatement(new ast.AssignmentExpression('=', new ast.Identifier(tmp2), new ast.BinaryExpression('in', new ast.Identifier(name_tmp), new ast.Identifier(with_var)))),
+                       new ast.IfStatement(new ast.Identifier(tmp2),
+                                           mkBlock([new ast.ExpressionStatement(new ast.AssignmentExpression('=', new ast.Identifier(getTarget()),
+                                                                                                                  new ast.CallExpression(new ast.MemberExpression(new ast.Identifier(with_var), new ast.Identifier(name_tmp), true), 
+                                                                                                                                         arg_tmps.map(function(tmp) { return new ast.Identifier(tmp); }))))]),
+                                           mkBlock(res))];
+              });
             
-              res = fn.concat(args, res);
+              res.unshift(prelude);
             }
+          
+            res = fn.concat(args, res);
             break;
           }
         
         case 'NewExpression':
+          var code = nd.type === 'NewExpression' && options.inline_eval && getConstantCode(nd);
+          if(code) {
+            res = normalizeConstantCode(code, target);
+            break;
+          }
+
+          if(hasSpread(nd.arguments)) {
+            // new F(...a) becomes fn = F; args = [...]; Reflect.construct(fn, args)
+            var fn_tmp = genTmp(), args_tmp = genTmp();
+            res = normalizeExpression(nd.callee, fn_tmp)
+                 .concat(normalizeSpreadArray(nd, nd.arguments, args_tmp),
+                         normalizeExpression(inheritPosition(new ast.CallExpression(new ast.MemberExpression(mkBuiltin('Reflect'), new ast.Identifier('construct'), false),
+                                                                                    [new ast.Identifier(fn_tmp), new ast.Identifier(args_tmp)]), nd), getTarget()));
+            break;
+          }
+
           var tmp = genTmp();
           var fn = normalizeExpression(nd.callee, tmp);
           var arg_tmps = genTmps(nd.arguments.length);
@@ -555,8 +1130,14 @@ define(function(require, exports) {
             res = mkIf(ltmp, [new ast.ExpressionStatement(new ast.AssignmentExpression('=', new ast.Identifier(getTarget()), new ast.Identifier(ltmp)))],
                              normalizeExpression(nd.right, getTarget()));
             res = l.concat(res);
+          } else if(nd.operator === '??') {
+            ltmp = genTmp();
+            l = normalizeExpression(nd.left, ltmp);
+            res = mkIf(mkNullCheck(ltmp, l), normalizeExpression(nd.right, getTarget()),
+                                             [new ast.ExpressionStatement(new ast.AssignmentExpression('=', new ast.Identifier(getTarget()), new ast.Identifier(ltmp)))]);
+            res = l.concat(res);
           } else {
-            throw new Error("unknown logical expression");
+            throw new NormalizationError('UNSUPPORTED_OPERATOR', "unknown logical operator " + nd.operator, nd);
           }
           break;
         
@@ -596,7 +1177,7 @@ define(function(require, exports) {
                            new ast.ExpressionStatement(new ast.AssignmentExpression('=', new ast.Identifier(extra), new ast.BinaryExpression(op, new ast.Identifier(target), new ast.Identifier(extra_extra)))),
                            new ast.ExpressionStatement(new ast.AssignmentExpression('=', new ast.MemberExpression(new ast.Identifier(base_tmp), new ast.Identifier(index_tmp), true), new ast.Identifier(extra))));
             } else {
-              throw new Error("unexpected operand to postfix expression");
+              throw new NormalizationError('INVALID_ASSIGNMENT_TARGET', "unexpected operand to postfix expression", nd.argument);
             }
           } else {
             if(nd.argument.type === 'Identifier') {
@@ -615,7 +1196,7 @@ define(function(require, exports) {
                            new ast.ExpressionStatement(new ast.AssignmentExpression('=', new ast.MemberExpression(new ast.Identifier(base_tmp), new ast.Identifier(index_tmp), true),
                                                                                          new ast.Identifier(target))));
             } else {
-              throw new Error("unexpected operand to prefix expression");
+              throw new NormalizationError('INVALID_ASSIGNMENT_TARGET', "unexpected operand to prefix expression", nd.argument);
             }
           }
           break;
@@ -633,7 +1214,8 @@ define(function(require, exports) {
                                                                                                              new ast.MemberExpression(new ast.Identifier('__global'),
                                                                                                                                       new ast.Identifier(tmp), true))))];              
               } else {
-                res = [new ast.ExpressionStatement(new ast.AssignmentExpression('=', new ast.Identifier(getTarget()), nd))];
+                res = [new ast.ExpressionStatement(new ast.AssignmentExpression('=', new ast.Identifier(getTarget()),
+                                                                                     new ast.UnaryExpression('delete', new ast.Identifier(scope.resolve(nd.argument.name)))))];
               }
             } else if(nd.argument.type === 'MemberExpression') {
               var trg = getTarget();
@@ -645,7 +1227,7 @@ define(function(require, exports) {
                                                                                                                  new ast.MemberExpression(new ast.Identifier(base_tmp),
                                                                                                                                            new ast.Identifier(index_tmp), true)))));
             } else {
-              throw new Error();
+              throw new NormalizationError('UNSUPPORTED_OPERATOR', "unsupported operand of type " + nd.argument.type + " to delete", nd.argument);
             }
           } else {
             var tmp = genTmp();
@@ -656,12 +1238,18 @@ define(function(require, exports) {
           break;
         
         default:
-          throw new Error("unknown expression type: " + nd.type);
+          throw new NormalizationError('UNSUPPORTED_EXPRESSION', "unknown expression type " + nd.type, nd);
         }
         return inheritPosition(res, nd);
       }
       
       function normalizeStatement(nd, brk_label, cont_label) {
+        return normalizeDerived(nd, function() {
+          return recoverUnsupported(nd, null, function() { return normalizeStatementOrFail(nd, brk_label, cont_label); });
+        });
+      }
+      
+      function normalizeStatementOrFail(nd, brk_label, cont_label) {
         var res;
         
         function rec(stmt) {
@@ -675,7 +1263,11 @@ define(function(require, exports) {
           break;
           
         case 'ExpressionStatement':
-          res = normalizeExpression(nd.expression);
+          // "use strict" directives are re-emitted at the beginning of the normalized function or program
+          if(nd.directive === 'use strict')
+            res = [];
+          else
+            res = normalizeExpression(nd.expression);
 	  attachComment(res, nd);
           break;
           
@@ -686,10 +1278,26 @@ define(function(require, exports) {
           break;
         
         case 'VariableDeclarator':
-          if(nd.init)
+          if(nd.init && nd.id.type !== 'Identifier') {
+            var tmp = genTmp();
+            res = normalizeExpression(nd.init, tmp).concat(normalizePattern(nd.id, tmp));
+          } else if(nd.init)
             res = normalizeExpression(new ast.AssignmentExpression('=', new ast.Identifier(nd.id.name), nd.init));
           else
             res = [];
+          markInitialized(nd);
+          break;
+        
+        // imports are handled by normalizeEntity() at the beginning of the module
+        case 'ImportDeclaration':
+          res = [];
+          break;
+        
+        case 'ExportNamedDeclaration':
+        case 'ExportDefaultDeclaration':
+        case 'ExportAllDeclaration':
+          res = normalizeExport(nd);
+          attachComment(res, nd);
           break;
         
         // function declarations are collected by normalizeEntity()
@@ -697,8 +1305,23 @@ define(function(require, exports) {
           res = [];
           break;
         
+        case 'ClassDeclaration':
+          res = normalizeExpression(new ast.AssignmentExpression('=', new ast.Identifier(nd.id.name), nd));
+          markInitialized(nd);
+          break;
+        
+        // blocks are flattened; block-scoped variables are renamed and declared at the beginning of the block,
+        // and function declarations in the block are initialized there, so that they close over the block's scope
         case 'BlockStatement':
-          res = nd.body.flatmap(rec);
+          var lexical_decls = nd === root.body ? [] : decls.collectLexicalDecls(nd.body);
+          var block_funs = nd === root.body ? [] : nd.body.filter(function(stmt) { return stmt.type === 'FunctionDeclaration'; });
+          if(lexical_decls.length) {
+            var let_decl = enterBlockScope(lexical_decls);
+            res = [let_decl].concat(block_funs.flatmap(normalizeFunctionDecl), nd.body.flatmap(rec));
+            scope = scope.outer;
+          } else {
+            res = block_funs.flatmap(normalizeFunctionDecl).concat(nd.body.flatmap(rec));
+          }
           break;
         
         case 'ReturnStatement':
@@ -744,16 +1367,41 @@ define(function(require, exports) {
           if(nd.handlers.length > 0 && nd.finalizer) {
             res = rec(new ast.TryStatement(new ast.BlockStatement([new ast.TryStatement(nd.block, nd.guardedHandlers, nd.handlers, null)]),
                                            [], [], nd.finalizer));
+          } else if(nd.guardedHandlers && nd.guardedHandlers.length > 0 || nd.handlers.length > 1) {
+            /* guarded and multiple catch clauses are tried in order, with the exception being rethrown if none of them applies:
+             * 
+             *   try { ... } catch(x if e) { ... } catch(y) { ... }  ~~>  try { ... } catch(tmp) { { let x = tmp; if(e) { ... } else { let y = tmp; ... } } }
+             */
+            var exn_tmp = genTmp(true), handler = new ast.ThrowStatement(new ast.Identifier(exn_tmp));
+            (nd.guardedHandlers || []).concat(nd.handlers).reverse().forEach(function(cc) {
+              var body = cc.guard ? inheritPosition(new ast.IfStatement(cc.guard, cc.body, new ast.BlockStatement([handler])), cc) : cc.body;
+              if(cc.param)
+                body = inheritPosition(new ast.BlockStatement([inheritPosition(new ast.VariableDeclaration([new ast.VariableDeclarator(cc.param, new ast.Identifier(exn_tmp))], 'let'), cc.param),
+                                                               body]), cc);
+              handler = body;
+            });
+            res = rec(inheritPosition(new ast.TryStatement(nd.block, [], [new ast.CatchClause(new ast.Identifier(exn_tmp), new ast.BlockStatement([handler]))], null), nd));
           } else if(nd.handlers.length > 0) {
-            if(nd.guardedHandlers && nd.guardedHandlers.length > 0 || nd.handlers.length > 1)
-              throw new Error("fancy catch clauses not supported");
-          
-            var tryblock = rec(nd.block);
-            scope = new scopes.CatchScope(scope, nd.handlers[0]);
-            var catchblock = rec(nd.handlers[0].body);
+            var tryblock = rec(nd.block), param = nd.handlers[0].param, catchblock;
+            if(!param) {
+              // a catch clause without a parameter gets a fresh temporary as its parameter
+              param = new ast.Identifier(genTmp(true));
+              scope = new scopes.CatchScope(scope, new ast.CatchClause(param, nd.handlers[0].body));
+              catchblock = rec(nd.handlers[0].body);
+            } else if(param.type === 'Identifier') {
+              scope = new scopes.CatchScope(scope, nd.handlers[0]);
+              catchblock = rec(nd.handlers[0].body);
+            } else {
+              // a destructuring pattern is replaced by a temporary; the variables it binds are block-scoped
+              var param_tmp = genTmp(true), param_decls = decls.collectPatternDecls(param, []);
+              catchblock = [enterBlockScope(param_decls)].concat(normalizePattern(param, param_tmp));
+              param_decls.forEach(markInitialized);
+              catchblock = catchblock.concat(rec(nd.handlers[0].body));
+              param = new ast.Identifier(param_tmp);
+            }
             scope = scope.outer;
   
-            res = [new ast.TryStatement(mkBlock(tryblock), [], [new ast.CatchClause(nd.handlers[0].param, mkBlock(catchblock))], null)];
+            res = [new ast.TryStatement(mkBlock(tryblock), [], [new ast.CatchClause(param, mkBlock(catchblock))], null)];
           } else if(nd.finalizer) {
             var tryblock = rec(nd.block);
             if(nd.finalizer.body.length === 0) {
@@ -767,6 +1415,12 @@ define(function(require, exports) {
           break;
         
         case 'LabeledStatement':
+          if(isLoop(nd.body)) {
+            var loop = nd.body;
+            while(loop.type === 'LabeledStatement')
+              loop = loop.body;
+            loop_labels.push({ label: nd.label.name, loop: loop, cont: null });
+          }
           var stmts = normalizeStatement(nd.body, nd.label.name, isLoop(nd.body) ? nd.label.name : cont_label);
           res = [new ast.LabeledStatement(nd.label, mkBlock(stmts))];
           attachComment(res, nd.label.name + ": { ... }");
@@ -781,32 +1435,50 @@ define(function(require, exports) {
           break;
         
         case 'ContinueStatement':
-          if(nd.label)
-            res = [new ast.BreakStatement(new ast.Identifier(nd.label.name))];
-          else
+          if(nd.label) {
+            // the innermost loop carrying this label whose continue label has already been generated
+            var target = null;
+            for(var i=loop_labels.length-1;i>=0&&!target;--i)
+              if(loop_labels[i].label === nd.label.name && loop_labels[i].cont)
+                target = loop_labels[i].cont;
+            if(!target)
+              throw new NormalizationError('UNKNOWN_LABEL', "unknown loop label " + nd.label.name, nd.label);
+            res = [new ast.BreakStatement(new ast.Identifier(target))];
+          } else
             res = [new ast.BreakStatement(new ast.Identifier(cont_label))];
           attachComment(res, nd);
           break;
         
         case 'WhileStatement':
-          var condtmp = genTmp();
-          var brk_lbl = genTmp(true), cont_lbl = genTmp(true);
+          // with option single_loop_test, 'while(true)' (arising, e.g., from for-of loops) needs no condition
+          var infinite = options.single_loop_test && nd.test.type === 'Literal' && nd.test.value === true;
+          var condtmp = infinite ? null : genTmp();
+          var brk_lbl = genTmp(true), cont_lbl = genContLabel(nd);
 
-          // initial computation of condition
-          var cond1 = normalizeExpression(nd.test, condtmp);
-          // while body
-          var body = [new ast.LabeledStatement(new ast.Identifier(cont_lbl), mkBlock(normalizeStatement(nd.body, brk_lbl, cont_lbl)))];
-          // computation of updated condition
-          var cond2 = normalizeExpression(nd.test, condtmp);
-          res = cond1.concat(new ast.LabeledStatement(new ast.Identifier(brk_lbl),
-                                                      new ast.BlockStatement([new ast.WhileStatement(new ast.Identifier(condtmp),
-                                                                                                     mkBlock(body.concat(cond2)))])));
+          if(options.single_loop_test) {
+            // condition is computed once at the beginning of every iteration
+            var cond = infinite ? [] : mkLoopTest(nd.test, condtmp, brk_lbl);
+            var body = [new ast.LabeledStatement(new ast.Identifier(cont_lbl), mkBlock(normalizeStatement(nd.body, brk_lbl, cont_lbl)))];
+            res = [new ast.LabeledStatement(new ast.Identifier(brk_lbl),
+                                            new ast.BlockStatement([new ast.WhileStatement(new ast.Literal(true),
+                                                                                           mkBlock(cond.concat(body)))]))];
+          } else {
+            // initial computation of condition
+            var cond1 = normalizeExpression(nd.test, condtmp);
+            // while body
+            var body = [new ast.LabeledStatement(new ast.Identifier(cont_lbl), mkBlock(normalizeStatement(nd.body, brk_lbl, cont_lbl)))];
+            // computation of updated condition
+            var cond2 = normalizeExpression(nd.test, condtmp);
+            res = cond1.concat(new ast.LabeledStatement(new ast.Identifier(brk_lbl),
+                                                        new ast.BlockStatement([new ast.WhileStatement(new ast.Identifier(condtmp),
+                                                                                                       mkBlock(body.concat(cond2)))])));
+          }
 	  attachComment(res, "while(", nd.test, ")");
           break;
         
         case 'DoWhileStatement':
           var tmp = genTmp();
-          var brk_lbl = genTmp(true), cont_lbl = genTmp(true);
+          var brk_lbl = genTmp(true), cont_lbl = genContLabel(nd);
         
           var body = [new ast.LabeledStatement(new ast.Identifier(cont_lbl), mkBlock(normalizeStatement(nd.body, brk_lbl, cont_lbl)))];
           var cond = normalizeExpression(nd.test, tmp);
@@ -817,39 +1489,113 @@ define(function(require, exports) {
           break;
         
         case 'ForInStatement':
-          if(nd.left.type === 'VariableDeclaration') {
-            res = rec(nd.left).concat(rec(new ast.ForInStatement(new ast.Identifier(nd.left.declarations[0].id.name), nd.right, nd.body)));
-          } else if(nd.left.type === 'Identifier') {
-            var tmp = genTmp(), brk_lbl = genTmp(true), cont_lbl = genTmp(true);
+          if(nd.left.type === 'VariableDeclaration' && decls.isLexical(nd.left)) {
+            // block-scoped loop variables are bound afresh in every iteration:
+            //   for(let x in e) { ... }  ~~>  for(tmp in e) { let x'; x' = tmp; ... }
+            var tmp = genTmp(), brk_lbl = genTmp(true), cont_lbl = genContLabel(nd), loopVar = genTmp();
+
+            var init = normalizeExpression(nd.right, tmp);
+
+            var decl = nd.left.declarations[0];
+            var body = [enterBlockScope(decls.collectLexicalDecls([nd.left]))].concat(normalizePattern(decl.id, loopVar));
+            markInitialized(decl);
+            body.push(new ast.LabeledStatement(new ast.Identifier(cont_lbl), mkBlock(normalizeStatement(nd.body, brk_lbl, cont_lbl))));
+            scope = scope.outer;
+
+            res = init.concat(new ast.LabeledStatement(new ast.Identifier(brk_lbl),
+                                                       new ast.BlockStatement([new ast.ForInStatement(new ast.Identifier(loopVar), new ast.Identifier(tmp),
+                                                                                                      mkBlock(body))])));
+          } else if(nd.left.type === 'VariableDeclaration') {
+            // the declaration is hoisted, so only an initializer needs to be normalized
+            var decl = nd.left.declarations[0];
+            var loop = transferLoopLabels(nd, inheritPosition(new ast.ForInStatement(decl.id, nd.right, nd.body), nd));
+            res = (decl.init ? rec(nd.left) : []).concat(rec(loop));
+          } else {
+            // unless the loop target is a local variable, a fresh loop variable is assigned into it at the beginning
+            // of every iteration, re-evaluating the base and index of member expressions each time:
+            //   for(o.p in e) { ... }  ~~>  for(tmp in e) { o.p = tmp; ... }
+            var tmp = genTmp(), brk_lbl = genTmp(true), cont_lbl = genContLabel(nd);
 
             var init = normalizeExpression(nd.right, tmp);
 
             var body = [new ast.LabeledStatement(new ast.Identifier(cont_lbl), mkBlock(normalizeStatement(nd.body, brk_lbl, cont_lbl)))];
         
             var loopVar;
-            if(scope.isLocal(nd.left.name)) {
+            if(nd.left.type === 'Identifier' && scope.isLocal(nd.left.name)) {
               loopVar = nd.left.name;
             } else {
               loopVar = genTmp();
-              body = normalizeExpression(new ast.AssignmentExpression('=', new ast.Identifier(nd.left.name), new ast.Identifier(loopVar)))
-                    .concat(body);
+              body = normalizePattern(nd.left, loopVar).concat(body);
             }
         
             res = init.concat(new ast.LabeledStatement(new ast.Identifier(brk_lbl), 
                                                        new ast.BlockStatement([new ast.ForInStatement(new ast.Identifier(loopVar), new ast.Identifier(tmp),
                                                                                                       mkBlock(body))])));
-          } else {
-            // TODO: support member expressions as nd.left
-            throw new Error("cannot handle for-in loop");
           }
 	  attachComment(res, "for(", nd.left, " in ", nd.right, ") { ... }");
           break;
         
+        /* for(x of e) { ... } is desugared into
+         * 
+         *   it = e[Symbol.iterator]();
+         *   try {
+         *     while(true) {
+         *       done = true;
+         *       step = it.next();
+         *       if(step.done) break;
+         *       val = step.value;
+         *       done = false;
+         *       { x = val; ... }
+         *     }
+         *   } finally {
+         *     if(!done) { ret = it['return']; if(ret) ret.call(it); }
+         *   }
+         * 
+         * and normalized recursively; 'done' is only false while the loop body is executing, so the iterator is closed
+         * when the body is exited by 'break', 'return' or an exception, but not when the loop finishes normally or the
+         * iterator itself throws. Block-scoped loop variables are declared inside the loop body, and hence bound afresh
+         * in every iteration. */
+        case 'ForOfStatement':
+          var it_tmp = genTmp(), done_tmp = genTmp(), step_tmp = genTmp(), val_tmp = genTmp(), ret_tmp = genTmp();
+          var id = function(name) { return new ast.Identifier(name); },
+              prop = function(obj, name) { return new ast.MemberExpression(id(obj), id(name), false); },
+              assign = function(lhs, rhs) { return new ast.ExpressionStatement(new ast.AssignmentExpression('=', typeof lhs === 'string' ? id(lhs) : lhs, rhs)); };
+          
+          var bind;
+          if(nd.left.type === 'VariableDeclaration')
+            bind = new ast.VariableDeclaration([new ast.VariableDeclarator(nd.left.declarations[0].id, id(val_tmp))], nd.left.kind);
+          else
+            bind = assign(nd.left, id(val_tmp));
+          
+          var loop = transferLoopLabels(nd, new ast.WhileStatement(new ast.Literal(true),
+                                            new ast.BlockStatement([assign(done_tmp, new ast.Literal(true)),
+                                                                    assign(step_tmp, new ast.CallExpression(prop(it_tmp, 'next'), [])),
+                                                                    new ast.IfStatement(prop(step_tmp, 'done'), new ast.BreakStatement(null), null),
+                                                                    assign(val_tmp, prop(step_tmp, 'value')),
+                                                                    assign(done_tmp, new ast.Literal(false)),
+                                                                    new ast.BlockStatement([bind, nd.body])])));
+          var close = new ast.IfStatement(new ast.UnaryExpression('!', id(done_tmp)),
+                                          new ast.BlockStatement([assign(ret_tmp, new ast.MemberExpression(id(it_tmp), new ast.Literal('return'), true)),
+                                                                  new ast.IfStatement(id(ret_tmp), new ast.ExpressionStatement(new ast.CallExpression(prop(ret_tmp, 'call'), [id(it_tmp)])), null)]),
+                                          null);
+          
+          res = normalizeExpression(inheritPosition(new ast.CallExpression(new ast.MemberExpression(nd.right, new ast.MemberExpression(mkBuiltin('Symbol'), id('iterator'), false), true), []), nd.right), it_tmp)
+               .concat(rec(inheritPosition(new ast.TryStatement(new ast.BlockStatement([loop]), [], [], new ast.BlockStatement([close])), nd)));
+          attachComment(res, "for(", nd.left, " of ", nd.right, ") { ... }");
+          break;
+        
         case 'ForStatement':
-          var init = nd.init ? (nd.init.type === 'VariableDeclaration' ? rec(nd.init) : normalizeExpression(nd.init)) : [];
-          var condVar = genTmp();
+          var lexical_decls = nd.init && decls.isLexical(nd.init) ? decls.collectLexicalDecls([nd.init]) : [];
+          var init = [];
+          if(lexical_decls.length)
+            init.push(enterBlockScope(lexical_decls));
+          init = init.concat(nd.init ? (nd.init.type === 'VariableDeclaration' ? rec(nd.init) : normalizeExpression(nd.init)) : []);
+          var condVar = nd.test || !options.single_loop_test ? genTmp() : null;
           var cond1, cond2;
-          if(!nd.test) {
+          if(options.single_loop_test) {
+            cond1 = [];
+            cond2 = null;
+          } else if(!nd.test) {
             cond1 = [new ast.ExpressionStatement(new ast.AssignmentExpression('=', new ast.Identifier(condVar), new ast.Literal(true)))];
             cond2 = [];
           } else {
@@ -857,12 +1603,40 @@ define(function(require, exports) {
             cond2 = normalizeExpression(nd.test, condVar);
           }
           var update = nd.update ? normalizeExpression(nd.update) : [];
-          var brk_lbl = genTmp(true), cont_lbl = genTmp(true);
-          var body = [new ast.LabeledStatement(new ast.Identifier(cont_lbl), mkBlock(normalizeStatement(nd.body, brk_lbl, cont_lbl)))];
-          res = init.concat(cond1,
-                            new ast.LabeledStatement(new ast.Identifier(brk_lbl),
-                                                     new ast.BlockStatement([new ast.WhileStatement(new ast.Identifier(condVar),
-                                                                                                    mkBlock(body.concat(update, cond2)))])));
+          var brk_lbl = genTmp(true), cont_lbl = genContLabel(nd);
+          if(options.single_loop_test)
+            cond1 = nd.test ? mkLoopTest(nd.test, condVar, brk_lbl) : [];
+          var body;
+          if(lexical_decls.length && isCapturedIn(lexical_decls.map(decls.getDeclName), [nd.test, nd.update, nd.body])) {
+            // block-scoped loop variables captured by closures need a fresh binding in every iteration; their
+            // values are copied into the new binding at the beginning of the iteration, and back at the end:
+            //   let x'; x' = x; l: { ... } x = x';
+            var loop_scope = scope, iter_decl = enterBlockScope(lexical_decls);
+            lexical_decls.forEach(markInitialized);
+            var copy_in = [], copy_out = [];
+            lexical_decls.forEach(function(decl) {
+              var outer_name = loop_scope.resolve(decls.getDeclName(decl)), inner_name = scope.resolve(decls.getDeclName(decl));
+              copy_in.push(new ast.ExpressionStatement(new ast.AssignmentExpression('=', new ast.Identifier(inner_name), new ast.Identifier(outer_name))));
+              copy_out.push(new ast.ExpressionStatement(new ast.AssignmentExpression('=', new ast.Identifier(outer_name), new ast.Identifier(inner_name))));
+            });
+            body = [iter_decl].concat(copy_in,
+                                      new ast.LabeledStatement(new ast.Identifier(cont_lbl), mkBlock(normalizeStatement(nd.body, brk_lbl, cont_lbl))),
+                                      copy_out);
+            scope = scope.outer;
+          } else {
+            body = [new ast.LabeledStatement(new ast.Identifier(cont_lbl), mkBlock(normalizeStatement(nd.body, brk_lbl, cont_lbl)))];
+          }
+          if(lexical_decls.length)
+            scope = scope.outer;
+          if(options.single_loop_test)
+            res = init.concat(new ast.LabeledStatement(new ast.Identifier(brk_lbl),
+                                                       new ast.BlockStatement([new ast.WhileStatement(new ast.Literal(true),
+                                                                                                      mkBlock(cond1.concat(body, update)))])));
+          else
+            res = init.concat(cond1,
+                              new ast.LabeledStatement(new ast.Identifier(brk_lbl),
+                                                       new ast.BlockStatement([new ast.WhileStatement(new ast.Identifier(condVar),
+                                                                                                      mkBlock(body.concat(update, cond2)))])));
 	  attachComment(res, "for(", nd.init || "", ";", nd.test || "", ";", nd.update || "", ") { ... }");
           break;
           
@@ -871,38 +1645,126 @@ define(function(require, exports) {
   
           var cond = normalizeExpression(nd.discriminant, tmp);
           
-          // initialise default to single no-op statement
-          var default_stmts = [new ast.EmptyStatement()];
-          var body = default_stmts;
-  
-          if(nd.cases)
-            for(var i=nd.cases.length-1;i>=0;--i) {
-              if(!nd.cases[i].test) {
-                // overwrite default statements
-                default_stmts.length = 0;
-                Array.prototype.push.apply(default_stmts, nd.cases[i].consequent.flatmap(function(stmt) { return normalizeStatement(stmt, lbl, cont_label); }));
-              } else {
-                var all_stmts = nd.cases[i].consequent;
-                for(var j=i+1;j<nd.cases.length;++j) {
-                  if(all_stmts.length && !cflow.mayCompleteNormally(all_stmts[all_stmts.length-1]))
-                    break;
-                  Array.prototype.push.apply(all_stmts, nd.cases[j].consequent);
+          // all cases share a single block scope
+          var lexical_decls = decls.collectLexicalDecls((nd.cases || []).flatmap(function(cs) { return cs.consequent; }));
+          if(lexical_decls.length)
+            cond.push(enterBlockScope(lexical_decls));
+          (nd.cases || []).forEach(function(cs) {
+            cs.consequent.forEach(function(stmt) {
+              if(stmt.type === 'FunctionDeclaration')
+                Array.prototype.push.apply(cond, normalizeFunctionDecl(stmt));
+            });
+          });
+          
+          if(options.switch_blocks) {
+            // a variable declared in one case and referenced in a later one may be accessed before its declaration
+            // has been executed, so it gets a flag recording whether it has been initialized
+            var switch_flags = [];
+            (nd.cases || []).forEach(function(cs, i) {
+              decls.collectLexicalDecls(cs.consequent).forEach(function(decl) {
+                if(occursIn([decls.getDeclName(decl)], nd.cases.slice(i+1))) {
+                  var entry = { decl: decl, flag: genTmp(), active: false, case_idx: i };
+                  cond.push(new ast.ExpressionStatement(new ast.AssignmentExpression('=', new ast.Identifier(entry.flag), new ast.Literal(false))));
+                  switch_flags.push(entry);
                 }
-                var tmp2 = genTmp(), tmp3 = genTmp();
-                body = normalizeExpression(nd.cases[i].test, tmp2)
-                      .concat(new ast.ExpressionStatement(new ast.AssignmentExpression('=', new ast.Identifier(tmp3),
-                                                                                            new ast.BinaryExpression("===", new ast.Identifier(tmp), new ast.Identifier(tmp2)))),
-                              new ast.IfStatement(new ast.Identifier(tmp3),
-                                                  mkBlock(all_stmts.flatmap(function(stmt) { return normalizeStatement(stmt, lbl, cont_label); })),
-                                                  mkBlock(body)));
-              }
+              });
+            });
+            Array.prototype.push.apply(tdz_flags, switch_flags);
+          
+            // normalize the body of a case; the flags of the variables it declares are set after their declarations,
+            // and are checked in all later cases
+            function normalizeCaseBody(cs, i) {
+              var stmts = cs.consequent.flatmap(function(stmt) {
+                var flags = switch_flags.filter(function(entry) {
+                  return decls.collectLexicalDecls([stmt]).indexOf(entry.decl) !== -1;
+                });
+                return normalizeStatement(stmt, lbl, cont_label).concat(flags.map(function(entry) {
+                  return new ast.ExpressionStatement(new ast.AssignmentExpression('=', new ast.Identifier(entry.flag), new ast.Literal(true)));
+                }));
+              });
+              switch_flags.forEach(function(entry) {
+                if(entry.case_idx === i)
+                  entry.active = true;
+              });
+              return stmts;
             }
+          
+            // every case gets a labeled block, with the blocks of later cases enclosing those of earlier
+            // cases; the innermost block contains the code that evaluates the case tests in order, and
+            // breaks out of the block of the first matching case (or of the default case, if there is
+            // no match), so that execution continues with the body of that case and then falls through
+            // into the bodies of all subsequent cases; this way, every case body is only normalized once
+            var cases = nd.cases || [],
+                case_lbls = cases.map(function() { return genTmp(true); }),
+                default_idx = -1;
+            for(var i=0;i<cases.length;++i)
+              if(!cases[i].test)
+                default_idx = i;
+  
+            var tests = cases.map(function(cs) {
+              if(!cs.test)
+                return null;
+              var tmp2 = genTmp(), tmp3 = genTmp();
+              return { cond: tmp3,
+                       stmts: normalizeExpression(cs.test, tmp2)
+                              .concat(new ast.ExpressionStatement(new ast.AssignmentExpression('=', new ast.Identifier(tmp3),
+                                                                                                     new ast.BinaryExpression("===", new ast.Identifier(tmp), new ast.Identifier(tmp2))))) };
+            });
+  
+            var body = [new ast.BreakStatement(new ast.Identifier(default_idx === -1 ? lbl : case_lbls[default_idx]))];
+            for(var i=cases.length-1;i>=0;--i)
+              if(tests[i])
+                body = tests[i].stmts.concat(new ast.IfStatement(new ast.Identifier(tests[i].cond),
+                                                                 mkBlock([new ast.BreakStatement(new ast.Identifier(case_lbls[i]))]),
+                                                                 mkBlock(body)));
+  
+            for(var i=0;i<cases.length;++i)
+              body = [new ast.LabeledStatement(new ast.Identifier(case_lbls[i]), mkBlock(body))]
+                     .concat(normalizeCaseBody(cases[i], i));
   
+            switch_flags.forEach(function(entry) {
+              entry.active = false;
+            });
+          } else {
+            // every case with a test becomes an if statement comparing the test against the discriminant, whose
+            // else branch contains the remaining cases; the then branch contains the body of the case followed
+            // by the bodies of the subsequent cases that it falls through into
+            var default_stmts = [new ast.EmptyStatement()];
+            var body = default_stmts;
+  
+            if(nd.cases)
+              for(var i=nd.cases.length-1;i>=0;--i) {
+                if(!nd.cases[i].test) {
+                  // overwrite default statements
+                  default_stmts.length = 0;
+                  Array.prototype.push.apply(default_stmts, nd.cases[i].consequent.flatmap(function(stmt) { return normalizeStatement(stmt, lbl, cont_label); }));
+                } else {
+                  var all_stmts = nd.cases[i].consequent;
+                  for(var j=i+1;j<nd.cases.length;++j) {
+                    if(all_stmts.length && !cflow.mayCompleteNormally(all_stmts[all_stmts.length-1]))
+                      break;
+                    all_stmts = all_stmts.concat(nd.cases[j].consequent);
+                  }
+                  var tmp2 = genTmp(), tmp3 = genTmp();
+                  body = normalizeExpression(nd.cases[i].test, tmp2)
+                        .concat(new ast.ExpressionStatement(new ast.AssignmentExpression('=', new ast.Identifier(tmp3),
+                                                                                              new ast.BinaryExpression("===", new ast.Identifier(tmp), new ast.Identifier(tmp2)))),
+                                new ast.IfStatement(new ast.Identifier(tmp3),
+                                                    mkBlock(all_stmts.flatmap(function(stmt) { return normalizeStatement(stmt, lbl, cont_label); })),
+                                                    mkBlock(body)));
+                }
+              }
+          }
+
+          if(lexical_decls.length)
+            scope = scope.outer;
           res = cond.concat(new ast.LabeledStatement(new ast.Identifier(lbl), mkBlock(body)));
           attachComment(res, "switch(", nd.discriminant, ") { ... }");
           break;
       
         case 'WithStatement':
+          if(scope.isStrict())
+            throw new NormalizationError('STRICT_WITH', "'with' statement in strict mode code", nd);
           var tmp = genTmp();
           var preamble = normalizeExpression(nd.object, tmp);
           scope = new scopes.WithScope(scope, tmp);
@@ -913,12 +1775,662 @@ define(function(require, exports) {
           break;
       
         default:
-          throw new Error("unknown statement type " + nd.type);
+          throw new NormalizationError('UNSUPPORTED_STATEMENT', "unknown statement type " + nd.type, nd);
         }
         
         return inheritPosition(res, nd);
       }
 
+      /** Normalize the expression of an optional chain, storing its value into target. The member accesses
+       *  and calls making up the chain are normalized from the innermost one outwards; at every optional
+       *  link, the value computed so far is checked against null and undefined, and if it is either of
+       *  them, the remainder of the whole chain is skipped, with target being set to undefined instead.
+       *
+       *  If receiver is given and the chain ends in a member access, the base of that access is stored
+       *  into receiver, so that the value of the chain can be invoked as a method on it. */
+      function normalizeChain(nd, target, receiver) {
+        // links of the chain, innermost first
+        var links = [], base = nd;
+        for(;;) {
+          if(base.type === 'MemberExpression') {
+            links.unshift(base);
+            base = base.object;
+          } else if(base.type === 'CallExpression') {
+            links.unshift(base);
+            base = base.callee;
+          } else {
+            break;
+          }
+        }
+
+        // apply link to expression cur
+        function mkLink(cur, link) {
+          if(link.type === 'MemberExpression')
+            return inheritPosition(new ast.MemberExpression(cur, link.property, link.computed), link);
+          return inheritPosition(new ast.CallExpression(cur, link.arguments), link);
+        }
+
+        // normalize links i and following, with cur being the expression for the value of the chain up to link i
+        function rec(cur, i) {
+          if(i === links.length) {
+            if(receiver && cur.type === 'MemberExpression')
+              return normalizeExpression(cur.object, receiver)
+                    .concat(normalizeExpression(inheritPosition(new ast.MemberExpression(new ast.Identifier(receiver), cur.property, cur.computed), cur), target));
+            return normalizeExpression(cur, target);
+          }
+
+          var link = links[i];
+          if(!link.optional)
+            return rec(mkLink(cur, link), i+1);
+
+          var tmp = genTmp(), stmts, next;
+          if(link.type === 'CallExpression' && cur.type === 'MemberExpression') {
+            // o.m?.(...) becomes base = o; tmp = base.m; if(tmp == null) { target = void 0; } else { target = tmp.call(base, ...); }
+            var base_tmp = genTmp();
+            stmts = normalizeExpression(cur.object, base_tmp)
+                   .concat(normalizeExpression(inheritPosition(new ast.MemberExpression(new ast.Identifier(base_tmp), cur.property, cur.computed), cur), tmp));
+            next = inheritPosition(new ast.CallExpression(new ast.MemberExpression(new ast.Identifier(tmp), new ast.Identifier('call'), false),
+                                                          [new ast.Identifier(base_tmp)].concat(link.arguments)), link);
+          } else {
+            stmts = normalizeExpression(cur, tmp);
+            next = mkLink(new ast.Identifier(tmp), link);
+          }
+          var undef = target ? normalizeExpression(inheritPosition(new ast.UnaryExpression('void', new ast.Literal(0)), link), target) : [];
+          return stmts.concat(mkIf(mkNullCheck(tmp, stmts), undef, rec(next, i+1)));
+        }
+
+        return rec(base, 0);
+      }
+
+      /** Normalize an object literal, storing the resulting object into the variable returned by getTarget,
+       *  which is only invoked once the property values have been normalized. Properties with static keys
+       *  become properties of a JSNF object literal, up to the first property with a computed key or the
+       *  first spread element; all properties from there on are added to the object one by one in source
+       *  order, with computed keys being evaluated into temporaries, and spread elements being copied in
+       *  using Object.assign.
+       *
+       *  Inside methods and accessors, 'super' refers to the prototype of the new object; the object is
+       *  stored into a temporary, and its prototype is looked up whenever 'super' is evaluated, so that
+       *  later changes to the prototype are observed. */
+      function normalizeObjectExpression(nd, getTarget) {
+        // allocate one temporary variable per property; we may not need all of them if there are getters or setters
+        var prop_tmps = genTmps(nd.properties.length);
+        var home_tmp = containsSuper(nd.properties.filter(function(prop) { return prop.method || prop.kind === 'get' || prop.kind === 'set'; })) ? genTmp() : null;
+
+        function normalizeMethod(fn) {
+          var fn_scope = new scopes.FunctionScope(scope, fn);
+          if(home_tmp)
+            fn_scope.home = { ctor: null, object: null, proto_of: home_tmp };
+          return normalizeEntity(fn, fn_scope);
+        }
+
+        function normalizeValue(prop, i) {
+          if(prop.method)
+            return [inheritPosition(new ast.ExpressionStatement(new ast.AssignmentExpression('=', new ast.Identifier(prop_tmps[i]), normalizeMethod(prop.value))), prop.value)];
+          return normalizeExpression(prop.value, prop_tmps[i]);
+        }
+
+        // number of properties that can be part of the object literal
+        var n = 0;
+        while(n < nd.properties.length && nd.properties[n].type === 'Property' && !nd.properties[n].computed)
+          ++n;
+
+        var props = [];
+        var res = nd.properties.slice(0, n).flatmap(function(prop, i) {
+          switch(prop.kind) {
+          case 'init':
+            props[props.length] = new ast.Property(prop.key, new ast.Identifier(prop_tmps[i]), 'init');
+            inheritPosition(props[props.length-1], prop);
+            // recursively normalize property value expression
+            return normalizeValue(prop, i);
+          case 'get':
+          case 'set':
+            // recursively normalize getter/setter
+            props[props.length] = new ast.Property(prop.key, normalizeMethod(prop.value), prop.kind);
+            inheritPosition(props[props.length-1], prop);
+            return [];
+          default:
+            throw new NormalizationError('UNSUPPORTED_PROPERTY', "unexpected property kind " + prop.kind, prop);
+          }
+        });
+        var obj_tmp = n < nd.properties.length ? genTmp() : getTarget();
+        res.push(new ast.ExpressionStatement(new ast.AssignmentExpression('=', new ast.Identifier(obj_tmp), new ast.ObjectExpression(props))));
+        if(home_tmp)
+          res.push(new ast.ExpressionStatement(new ast.AssignmentExpression('=', new ast.Identifier(home_tmp), new ast.Identifier(obj_tmp))));
+
+        nd.properties.slice(n).forEach(function(prop, i) {
+          var stmts;
+          i += n;
+          if(prop.type === 'SpreadElement') {
+            // Object.assign(obj, e);
+            stmts = normalizeExpression(new ast.CallExpression(new ast.MemberExpression(mkBuiltin('Object'), new ast.Identifier('assign'), false),
+                                                               [new ast.Identifier(obj_tmp), prop.argument]));
+          } else {
+            var key_tmp = genTmp();
+            var key = prop.computed ? prop.key : new ast.Literal(prop.key.type === 'Identifier' ? prop.key.name : String(prop.key.value));
+            stmts = normalizeExpression(key, key_tmp);
+            if(prop.kind === 'init') {
+              stmts = stmts.concat(normalizeValue(prop, i),
+                                   new ast.ExpressionStatement(new ast.AssignmentExpression('=', new ast.MemberExpression(new ast.Identifier(obj_tmp), new ast.Identifier(key_tmp), true),
+                                                                                                 new ast.Identifier(prop_tmps[i]))));
+            } else {
+              // Object.defineProperty(obj, key, { get: fn, enumerable: true, configurable: true });
+              stmts.push(new ast.ExpressionStatement(new ast.AssignmentExpression('=', new ast.Identifier(prop_tmps[i]), normalizeMethod(prop.value))));
+              var desc = new ast.ObjectExpression([new ast.Property(new ast.Identifier(prop.kind), new ast.Identifier(prop_tmps[i]), 'init'),
+                                                   new ast.Property(new ast.Identifier('enumerable'), new ast.Literal(true), 'init'),
+                                                   new ast.Property(new ast.Identifier('configurable'), new ast.Literal(true), 'init')]);
+              stmts = stmts.concat(normalizeExpression(new ast.CallExpression(new ast.MemberExpression(mkBuiltin('Object'), new ast.Identifier('defineProperty'), false),
+                                                                              [new ast.Identifier(obj_tmp), new ast.Identifier(key_tmp), desc])));
+            }
+          }
+          res = res.concat(inheritPosition(stmts, prop));
+        });
+
+        if(n < nd.properties.length)
+          res.push(new ast.ExpressionStatement(new ast.AssignmentExpression('=', new ast.Identifier(getTarget()), new ast.Identifier(obj_tmp))));
+        return res;
+      }
+
+      /** Normalize a class declaration or expression, storing the resulting constructor into target.
+       *  Classes are desugared into a constructor function whose prototype object gets the methods
+       *  as properties; static methods become properties of the constructor. Methods and accessors are
+       *  defined using Object.defineProperty, so that they are not enumerable. Every normalized method (including the constructor) is given
+       *  attributes 'className', 'memberName', 'memberKind' and 'isStatic' describing where it came from.
+       *
+       *  Inside the methods, 'super' refers to the home object recorded in the method's scope; super
+       *  calls are desugared into invocations of 'call' on the superclass constructor or method. */
+      function normalizeClass(nd, target) {
+        var res = [], class_name = nd.id ? nd.id.name : null, members = nd.body.body;
+
+        // superclass constructor and prototype, which are the home objects of static and non-static methods,
+        // respectively; without 'extends', the home objects are only needed if there are super accesses
+        var super_ctor = null, super_proto = null, super_static = null;
+        if(nd.superClass) {
+          super_static = super_ctor = genTmp();
+          super_proto = genTmp();
+          res = normalizeExpression(nd.superClass, super_ctor)
+               .concat(normalizeExpression(new ast.MemberExpression(new ast.Identifier(super_ctor), new ast.Identifier('prototype'), false), super_proto));
+        } else {
+          if(containsSuper(members.filter(function(member) { return !member['static']; }))) {
+            super_proto = genTmp();
+            res = res.concat(normalizeExpression(new ast.MemberExpression(mkBuiltin('Object'), new ast.Identifier('prototype'), false), super_proto));
+          }
+          if(containsSuper(members.filter(function(member) { return member['static']; }))) {
+            super_static = genTmp();
+            res = res.concat(normalizeExpression(new ast.MemberExpression(mkBuiltin('Function'), new ast.Identifier('prototype'), false), super_static));
+          }
+        }
+
+        // inside a named class expression, the class name refers to the class itself
+        if(nd.type === 'ClassExpression' && nd.id)
+          res.push(enterBlockScope([nd.id]));
+
+        function normalizeMethod(fn, member_name, member_kind, is_static) {
+          var fn_scope = new scopes.FunctionScope(scope, fn);
+          fn_scope.home = { ctor: super_ctor, object: is_static ? super_static : super_proto };
+          // all parts of a class are strict mode code
+          fn_scope.strict = true;
+          var fn_expr = normalizeEntity(fn, fn_scope);
+          ast.setAttribute(fn_expr, 'className', class_name);
+          ast.setAttribute(fn_expr, 'memberName', member_name);
+          ast.setAttribute(fn_expr, 'memberKind', member_kind);
+          ast.setAttribute(fn_expr, 'isStatic', is_static);
+          return fn_expr;
+        }
+
+        // a descriptor for a non-enumerable data property holding fn, like the methods of built-in classes
+        function mkMethodDescriptor(fn) {
+          return new ast.ObjectExpression([new ast.Property(new ast.Identifier('value'), new ast.Identifier(fn), 'init'),
+                                           new ast.Property(new ast.Identifier('writable'), new ast.Literal(true), 'init'),
+                                           new ast.Property(new ast.Identifier('configurable'), new ast.Literal(true), 'init')]);
+        }
+
+        // constructor; the default constructor of a derived class passes its arguments on to the superclass constructor.
+        // Unlike a class constructor, the resulting function does not throw a TypeError when called without 'new':
+        // 'new.target' is not supported, and a check 'this instanceof C' would have to refer to the constructor
+        // through a temporary, which is overwritten whenever the class definition is evaluated again
+        var ctor = null, ctor_tmp = genTmp(), proto_tmp = genTmp();
+        members.forEach(function(member) {
+          if(member.kind === 'constructor')
+            ctor = member;
+        });
+        var ctor_fn;
+        if(ctor) {
+          ctor_fn = inheritPosition(new ast.FunctionExpression(nd.id, ctor.value.params, ctor.value.body), ctor);
+        } else {
+          var ctor_body = [];
+          if(super_ctor)
+            ctor_body.push(new ast.ExpressionStatement(new ast.CallExpression(new ast.MemberExpression(new ast.Identifier(super_ctor), new ast.Identifier('apply'), false),
+                                                                              [new ast.ThisExpression(), new ast.Identifier('arguments')])));
+          ctor_fn = inheritPosition(new ast.FunctionExpression(nd.id, [], new ast.BlockStatement(ctor_body)), nd);
+        }
+        res.push(new ast.ExpressionStatement(new ast.AssignmentExpression('=', new ast.Identifier(ctor_tmp), normalizeMethod(ctor_fn, 'constructor', 'constructor', false))));
+        if(nd.type === 'ClassExpression' && nd.id) {
+          res.push(new ast.ExpressionStatement(new ast.AssignmentExpression('=', new ast.Identifier(scope.resolve(nd.id.name)), new ast.Identifier(ctor_tmp))));
+          markInitialized(nd.id);
+        }
+
+        // prototype object; for a derived class, it inherits from the superclass prototype and gets a
+        // 'constructor' property, and the constructor inherits from the superclass constructor
+        if(super_ctor) {
+          res = res.concat(normalizeExpression(new ast.CallExpression(new ast.MemberExpression(mkBuiltin('Object'), new ast.Identifier('create'), false),
+                                                                      [new ast.Identifier(super_proto)]), proto_tmp),
+                           normalizeExpression(new ast.AssignmentExpression('=', new ast.MemberExpression(new ast.Identifier(ctor_tmp), new ast.Identifier('prototype'), false),
+                                                                            new ast.Identifier(proto_tmp))),
+                           normalizeExpression(new ast.CallExpression(new ast.MemberExpression(mkBuiltin('Object'), new ast.Identifier('defineProperty'), false),
+                                                                      [new ast.Identifier(proto_tmp), new ast.Literal('constructor'), mkMethodDescriptor(ctor_tmp)])),
+                           normalizeExpression(new ast.CallExpression(new ast.MemberExpression(mkBuiltin('Object'), new ast.Identifier('setPrototypeOf'), false),
+                                                                      [new ast.Identifier(ctor_tmp), new ast.Identifier(super_ctor)])));
+        } else {
+          res = res.concat(normalizeExpression(new ast.MemberExpression(new ast.Identifier(ctor_tmp), new ast.Identifier('prototype'), false), proto_tmp));
+        }
+
+        // methods and accessors, in source order
+        members.forEach(function(member) {
+          if(member.kind === 'constructor')
+            return;
+
+          var key_tmp = genTmp(), fn_tmp = genTmp(), obj = member['static'] ? ctor_tmp : proto_tmp;
+          var member_name = member.computed ? null : member.key.type === 'Identifier' ? member.key.name : String(member.key.value);
+          var stmts = normalizeExpression(member.computed ? member.key : new ast.Literal(member_name), key_tmp);
+          stmts.push(new ast.ExpressionStatement(new ast.AssignmentExpression('=', new ast.Identifier(fn_tmp),
+                                                                                   normalizeMethod(member.value, member_name, member.kind, !!member['static']))));
+          // like accessors, methods are not enumerable:
+          //   Object.defineProperty(obj, key, { value: fn, writable: true, configurable: true }), or
+          //   Object.defineProperty(obj, key, { get: fn, configurable: true })
+          var desc = member.kind === 'method' ? mkMethodDescriptor(fn_tmp)
+                                              : new ast.ObjectExpression([new ast.Property(new ast.Identifier(member.kind), new ast.Identifier(fn_tmp), 'init'),
+                                                                          new ast.Property(new ast.Identifier('configurable'), new ast.Literal(true), 'init')]);
+          stmts = stmts.concat(normalizeExpression(new ast.CallExpression(new ast.MemberExpression(mkBuiltin('Object'), new ast.Identifier('defineProperty'), false),
+                                                                          [new ast.Identifier(obj), new ast.Identifier(key_tmp), desc])));
+          res = res.concat(inheritPosition(stmts, member));
+        });
+
+        if(nd.type === 'ClassExpression' && nd.id)
+          scope = scope.outer;
+
+        res.push(new ast.ExpressionStatement(new ast.AssignmentExpression('=', new ast.Identifier(target), new ast.Identifier(ctor_tmp))));
+        return res;
+      }
+
+      /** Normalize the destructuring of the value stored in variable src according to the given pattern,
+       *  assigning to the variables and member expressions it contains. The desugared code is itself
+       *  normalized recursively.
+       *
+       *  Object patterns read the properties one by one, with computed keys being evaluated in order;
+       *  a rest element receives a copy of the object without the properties read before. Array patterns
+       *  use the iterator protocol:
+       *
+       *  <pre>
+       *    it = src[Symbol.iterator](); done = false;
+       *    // for every element:
+       *    if(!done) { step = it.next(); done = step.done; }
+       *    elt = done ? void 0 : step.value;
+       *    // for a rest element:
+       *    rest = []; while(!done) { step = it.next(); done = step.done; if(!done) rest.push(step.value); }
+       *    // at the end, unless there is a rest element:
+       *    if(!done) { ret = it['return']; if(ret) ret.call(it); }
+       *  </pre>
+       *
+       *  Default values in assignment patterns are used if the value is undefined. */
+      function normalizePattern(pattern, src) {
+        var res;
+
+        function id(name) {
+          return new ast.Identifier(name);
+        }
+
+        function prop(obj, name) {
+          return new ast.MemberExpression(id(obj), id(name), false);
+        }
+
+        function exprStmt(expr) {
+          return new ast.ExpressionStatement(expr);
+        }
+
+        // normalize a desugared expression or statement, giving it the position of the pattern
+        function desugarExpression(expr, target) {
+          return normalizeExpression(inheritPosition(expr, pattern), target);
+        }
+
+        function desugarStatement(stmt) {
+          return normalizeStatement(inheritPosition(stmt, pattern));
+        }
+
+        switch(pattern.type) {
+        case 'Identifier':
+        case 'MemberExpression':
+          res = normalizeExpression(new ast.AssignmentExpression('=', pattern, id(src)));
+          break;
+
+        case 'AssignmentPattern':
+          var tmp = genTmp();
+          res = desugarExpression(new ast.ConditionalExpression(new ast.BinaryExpression('===', id(src), new ast.UnaryExpression('void', new ast.Literal(0))),
+                                                                pattern.right, id(src)), tmp)
+               .concat(normalizePattern(pattern.left, tmp));
+          break;
+
+        case 'ObjectPattern':
+          var key_tmps = [];
+          res = pattern.properties.flatmap(function(property) {
+            if(property.type === 'RestElement') {
+              // rest = Object.assign({}, src); delete rest[key1]; ...; delete rest[keyn];
+              var rest_tmp = genTmp();
+              return desugarExpression(new ast.CallExpression(new ast.MemberExpression(mkBuiltin('Object'), id('assign'), false), [new ast.ObjectExpression([]), id(src)]), rest_tmp)
+                    .concat(key_tmps.flatmap(function(key_tmp) {
+                              return desugarExpression(new ast.UnaryExpression('delete', new ast.MemberExpression(id(rest_tmp), id(key_tmp), true)));
+                            }),
+                            normalizePattern(property.argument, rest_tmp));
+            }
+            var key_tmp = genTmp(), val_tmp = genTmp();
+            key_tmps.push(key_tmp);
+            var key = property.computed ? property.key : new ast.Literal(property.key.type === 'Identifier' ? property.key.name : property.key.value);
+            return normalizeExpression(inheritPosition(key, property), key_tmp)
+                  .concat(desugarExpression(new ast.MemberExpression(id(src), id(key_tmp), true), val_tmp),
+                          normalizePattern(property.value, val_tmp));
+          });
+          break;
+
+        case 'ArrayPattern':
+          var it_tmp = genTmp(), done_tmp = genTmp(), step_tmp = genTmp();
+          var step = new ast.IfStatement(new ast.UnaryExpression('!', id(done_tmp)),
+                                         new ast.BlockStatement([exprStmt(new ast.AssignmentExpression('=', id(step_tmp), new ast.CallExpression(prop(it_tmp, 'next'), []))),
+                                                                 exprStmt(new ast.AssignmentExpression('=', id(done_tmp), prop(step_tmp, 'done')))]),
+                                         null);
+          var elts = pattern.elements, has_rest = elts.length > 0 && elts[elts.length-1] && elts[elts.length-1].type === 'RestElement';
+
+          res = desugarExpression(new ast.CallExpression(new ast.MemberExpression(id(src), new ast.MemberExpression(mkBuiltin('Symbol'), id('iterator'), false), true), []), it_tmp)
+               .concat(desugarExpression(new ast.Literal(false), done_tmp));
+          elts.forEach(function(elt) {
+            if(elt && elt.type === 'RestElement') {
+              var rest_tmp = genTmp();
+              res = res.concat(desugarExpression(new ast.ArrayExpression([]), rest_tmp),
+                               desugarStatement(new ast.WhileStatement(new ast.UnaryExpression('!', id(done_tmp)),
+                                                                       new ast.BlockStatement([step.consequent,
+                                                                                               new ast.IfStatement(new ast.UnaryExpression('!', id(done_tmp)),
+                                                                                                                   exprStmt(new ast.CallExpression(prop(rest_tmp, 'push'), [prop(step_tmp, 'value')])),
+                                                                                                                   null)]))),
+                               normalizePattern(elt.argument, rest_tmp));
+            } else {
+              res = res.concat(desugarStatement(step));
+              if(elt) {
+                var val_tmp = genTmp();
+                res = res.concat(desugarExpression(new ast.ConditionalExpression(id(done_tmp), new ast.UnaryExpression('void', new ast.Literal(0)), prop(step_tmp, 'value')), val_tmp),
+                                 normalizePattern(elt, val_tmp));
+              }
+            }
+          });
+
+          if(!has_rest) {
+            var ret_tmp = genTmp();
+            res = res.concat(desugarStatement(new ast.IfStatement(new ast.UnaryExpression('!', id(done_tmp)),
+                                                                  new ast.BlockStatement([exprStmt(new ast.AssignmentExpression('=', id(ret_tmp), new ast.MemberExpression(id(it_tmp), new ast.Literal('return'), true))),
+                                                                                          new ast.IfStatement(id(ret_tmp),
+                                                                                                              exprStmt(new ast.CallExpression(prop(ret_tmp, 'call'), [id(it_tmp)])),
+                                                                                                              null)]),
+                                                                  null)));
+          }
+          break;
+
+        default:
+          throw new NormalizationError('UNSUPPORTED_PATTERN', "unexpected pattern of type " + pattern.type, pattern);
+        }
+        return inheritPosition(res, pattern);
+      }
+
+      /** Generates x = __import("module", "name"); where name is "*" for a namespace import. */
+      function mkImport(x, module, name) {
+        return new ast.ExpressionStatement(new ast.AssignmentExpression('=', new ast.Identifier(x),
+                                                                             new ast.CallExpression(new ast.Identifier('__import'), [new ast.Literal(module), new ast.Literal(name)])));
+      }
+
+      /** Generates __export("name", x); which exports the binding of local variable x under the given name,
+       *  and records it in the module table; module and imported are given for re-exports. */
+      function mkExport(name, x, module, imported) {
+        module_table.exports.push(module ? { exported: name, module: module, imported: imported } : { exported: name, local: x });
+        return new ast.ExpressionStatement(new ast.CallExpression(new ast.Identifier('__export'), [new ast.Literal(name), new ast.Identifier(x)]));
+      }
+
+      /** Normalize an export declaration. Exported declarations are normalized as usual and followed by
+       *  __export statements for the variables they declare; exported function declarations are hoisted,
+       *  so normalizeEntity() exports them at the beginning of the module instead. Re-exports from other
+       *  modules first import the binding into a temporary. */
+      function normalizeExport(nd) {
+        var res = [], decl = nd.declaration;
+        if(nd.type === 'ExportAllDeclaration') {
+          var tmp = genTmp();
+          res = [mkImport(tmp, nd.source.value, '*'), mkExport('*', tmp, nd.source.value, '*')];
+        } else if(nd.type === 'ExportNamedDeclaration' && nd.source) {
+          nd.specifiers.forEach(function(spec) {
+            var tmp = genTmp();
+            res.push(mkImport(tmp, nd.source.value, spec.local.name),
+                     mkExport(spec.exported.name, tmp, nd.source.value, spec.local.name));
+          });
+        } else if(nd.type === 'ExportNamedDeclaration' && !decl) {
+          nd.specifiers.forEach(function(spec) {
+            if(!scope.isLocal(spec.local.name))
+              throw new NormalizationError('UNDECLARED_EXPORT', "cannot export undeclared variable " + spec.local.name, spec);
+            res.push(mkExport(spec.exported.name, scope.resolve(spec.local.name)));
+          });
+        } else if(decl.type === 'FunctionDeclaration' && decl.id) {
+          res = [];
+        } else if(nd.type === 'ExportNamedDeclaration' || decl.type === 'ClassDeclaration' && decl.id) {
+          var names = decl.type === 'VariableDeclaration' ? decl.declarations.flatmap(decls.getDeclaratorDecls).map(decls.getDeclName) : [decl.id.name];
+          res = normalizeStatement(decl).concat(names.map(function(name) {
+            return mkExport(nd.type === 'ExportDefaultDeclaration' ? 'default' : name, name);
+          }));
+        } else {
+          // export default e; anonymous function and class declarations are treated as expressions
+          var tmp = genTmp();
+          if(decl.type === 'FunctionDeclaration')
+            decl = inheritPosition(new ast.FunctionExpression(null, decl.params, decl.body, decl.generator, decl.async), decl);
+          else if(decl.type === 'ClassDeclaration')
+            decl = inheritPosition(new ast.ClassExpression(null, decl.superClass, decl.body), decl);
+          res = normalizeExpression(decl, tmp).concat(mkExport('default', tmp));
+        }
+        return res;
+      }
+
+      /** Records that a direct eval in the current scope may read or write every visible local variable. The names
+       *  of these variables are returned, and the names of the variables belonging to each enclosing function
+       *  (including its block-scoped variables) are added to its scope's 'evalLocals'. */
+      function recordDirectEval() {
+        var all = [], pending = [];
+        function addNames(names, new_names) {
+          new_names.forEach(function(name) {
+            if(names.indexOf(name) === -1)
+              names.push(name);
+          });
+          return names;
+        }
+        for(var s=scope;s;s=s.outer) {
+          addNames(pending, s.getLocalNames());
+          if(s instanceof scopes.FunctionScope) {
+            s.evalLocals = addNames(s.evalLocals || [], pending);
+            addNames(all, pending);
+            pending = [];
+          }
+        }
+        return addNames(all, pending);
+      }
+
+      /** If nd is a string literal or a concatenation of string literals, returns a list of pieces making
+       *  up its value, each with the literal it comes from; otherwise returns null. */
+      function getConstantString(nd) {
+        if(nd.type === 'Literal' && typeof nd.value === 'string')
+          return [{ str: nd.value, lit: nd }];
+        if(nd.type === 'BinaryExpression' && nd.operator === '+') {
+          var left = getConstantString(nd.left), right = left && getConstantString(nd.right);
+          return right && left.concat(right);
+        }
+        return null;
+      }
+
+      /** Parses the code made up of the given pieces, each of which either comes from a string literal
+       *  or is synthesized (in which case its 'lit' is null). The positions of the parsed nodes are made
+       *  to point into the string literals; if a literal contains escape sequences, or for synthesized
+       *  pieces, the position of the literal or of nd, respectively, is used instead. Returns null if the
+       *  code does not parse. */
+      function parseConstantCode(pieces, nd) {
+        var code = "", starts = [];
+        pieces.forEach(function(piece) {
+          starts.push(code.length);
+          code += piece.str;
+        });
+
+        var program;
+        try {
+          program = esprima.parse(code, { range: true, loc: true });
+        } catch(e) {
+          return null;
+        }
+
+        // map an offset into the code to a line, an offset and a column in the original program; since
+        // literals without escape sequences cannot span several lines, the line stays the same
+        function mapOffset(offset, is_end) {
+          var i = pieces.length - 1, o = is_end ? offset - 1 : offset;
+          while(i > 0 && starts[i] > o)
+            --i;
+          var piece = pieces[i], pos = ast.getPosition(piece.lit || nd);
+          if(piece.lit && pos.start_offset >= 0 && piece.lit.raw && piece.lit.raw.slice(1, -1) === piece.str)
+            return { line: pos.start_line, offset: pos.start_offset + 1 + offset - starts[i],
+                     column: pos.start_column >= 0 ? pos.start_column + 1 + offset - starts[i] : -1 };
+          return is_end ? { line: pos.end_line, offset: pos.end_offset, column: pos.end_column }
+                        : { line: pos.start_line, offset: pos.start_offset, column: pos.start_column };
+        }
+
+        var code_url = ast.getPosition(nd).url, provenance = ast.getAttribute(nd, 'provenance');
+        (function setPositions(nd) {
+          if(Array.isArray(nd))
+            return nd.forEach(setPositions);
+          if(!nd || typeof nd.type !== 'string')
+            return;
+          var start = mapOffset(nd.range[0], false), end = mapOffset(nd.range[1], true);
+          ast.setPosition(nd, new position.Position(code_url, start.line, start.offset, end.line, end.offset, start.column, end.column));
+          ast.setAttribute(nd, 'provenance', provenance);
+          for(var p in nd)
+            if(p !== 'attr' && p !== 'range' && p !== 'loc')
+              setPositions(nd[p]);
+        })(program);
+        return program;
+      }
+
+      /** Is nd a reference to the global variable x that cannot be bound by 'with'? */
+      function isUnshadowedGlobal(nd, x) {
+        return nd.type === 'Identifier' && nd.name === x && scope.isGlobal(x) && !scope.possibleWithBindings(x).length;
+      }
+
+      /** Checks whether nd is a direct call to eval, an indirect call to eval of the form (0, eval)(...), or
+       *  a call or 'new' expression invoking Function, where all arguments are constant strings. If so, it
+       *  returns an object describing the kind of call and the AST of the code it evaluates (a program for eval,
+       *  and a function expression for Function), which is parsed using the same construction as Function
+       *  itself; otherwise, it returns null. */
+      function getConstantCode(nd) {
+        var callee = nd.callee, is_indirect_eval = false;
+        if(nd.type === 'CallExpression' && callee.type === 'SequenceExpression' &&
+           callee.expressions.slice(0, -1).every(function(expr) { return expr.type === 'Literal'; })) {
+          callee = callee.expressions[callee.expressions.length-1];
+          is_indirect_eval = true;
+        }
+
+        var args = nd.arguments.map(getConstantString);
+        if(args.some(function(arg) { return !arg; }))
+          return null;
+
+        if(nd.type === 'CallExpression' && isUnshadowedGlobal(callee, 'eval') && args.length === 1) {
+          var program = parseConstantCode(args[0], nd);
+          return program && { kind: is_indirect_eval ? 'indirect_eval' : 'direct_eval', ast: program };
+        } else if(!is_indirect_eval && isUnshadowedGlobal(callee, 'Function')) {
+          // (function anonymous(p1,...,pn\n) {\nbody\n})
+          var pieces = [{ str: "(function anonymous(", lit: null }];
+          args.slice(0, -1).forEach(function(arg, i) {
+            if(i > 0)
+              pieces.push({ str: ",", lit: null });
+            pieces = pieces.concat(arg);
+          });
+          pieces = pieces.concat({ str: "\n) {\n", lit: null }, args.length ? args[args.length-1] : [], { str: "\n})", lit: null });
+          var program = parseConstantCode(pieces, nd);
+          return program && { kind: 'Function', ast: program.body[0].expression };
+        }
+        return null;
+      }
+
+      /** Normalize the code evaluated by a call to eval or Function, as returned by getConstantCode, storing its
+       *  result into target. A function created by Function is normalized in a fresh global scope. The code of eval
+       *  is inlined: a direct call evaluates it in the current scope, an indirect call in a fresh global scope.
+       *  In sloppy mode, variables and functions declared by the code belong to the closest enclosing function
+       *  (or are global); in strict mode, they are local to the code. The result of the call is only approximated:
+       *  it is the value of the last statement other than a declaration if that is an expression statement, and
+       *  undefined otherwise, so completion values of compound statements like 'if' are not honoured. */
+      function normalizeConstantCode(code, target) {
+        if(code.kind === 'Function') {
+          var fn_expr = normalizeEntity(code.ast, new scopes.FunctionScope(new scopes.GlobalScope(new ast.Program([])), code.ast));
+          return [new ast.ExpressionStatement(new ast.AssignmentExpression('=', new ast.Identifier(target || genTmp()), fn_expr))];
+        }
+
+        var program = code.ast, old_scope = scope, old_this_scope = this_scope;
+        if(code.kind === 'indirect_eval') {
+          scope = new scopes.GlobalScope(program);
+          this_scope = scope;
+        }
+
+        var var_decls = decls.collectDecls(program, []), block_decls = decls.collectLexicalDecls(program.body);
+        if(scope.isStrict() || scopes.hasUseStrictDirective(program.body)) {
+          block_decls = var_decls.concat(block_decls);
+        } else {
+          var fn_scope = scope;
+          while(fn_scope.outer && !(fn_scope instanceof scopes.FunctionScope))
+            fn_scope = fn_scope.outer;
+          // function declarations are hoisted below, so only their names are added
+          if(fn_scope instanceof scopes.FunctionScope)
+            var_decls.forEach(function(decl) {
+              if(!fn_scope.isLocal(decls.getDeclName(decl)))
+                fn_scope.decls.push(decl.type === 'FunctionDeclaration' ? decl.id : decl);
+            });
+        }
+
+        var res = [];
+        if(block_decls.length) {
+          res.push(enterBlockScope(block_decls));
+          var_decls.forEach(markInitialized);
+        }
+
+        // hoist function declarations; those nested in blocks are initialized when their block is entered
+        var block_funs = decls.collectBlockFunctions(program.body);
+        res = res.concat(var_decls.flatmap(function(decl) {
+          if(decl.type === 'FunctionDeclaration' && block_funs.indexOf(decl) === -1)
+            return normalizeFunctionDecl(decl);
+          return [];
+        }));
+
+        var last = -1;
+        program.body.forEach(function(stmt, i) {
+          if(!/^(VariableDeclaration|FunctionDeclaration|ClassDeclaration|EmptyStatement)$/.test(stmt.type))
+            last = i;
+        });
+        res = res.concat(program.body.flatmap(function(stmt, i) {
+          if(i === last && stmt.type === 'ExpressionStatement')
+            return normalizeExpression(stmt.expression, target);
+          return normalizeStatement(stmt);
+        }));
+        if(target && (last === -1 || program.body[last].type !== 'ExpressionStatement'))
+          res = res.concat(normalizeExpression(new ast.UnaryExpression('void', new ast.Literal(0)), target));
+
+        scope = old_scope;
+        this_scope = old_this_scope;
+        return res;
+      }
+
+      /** Generates code checking whether the value of variable x is null or undefined, appending it to stmts,
+       *  and returns the name of the variable holding the result of the check. */
+      function mkNullCheck(x, stmts) {
+        var null_tmp = genTmp(), cond_tmp = genTmp();
+        stmts.push(new ast.ExpressionStatement(new ast.AssignmentExpression('=', new ast.Identifier(null_tmp), new ast.Literal(null))),
+                   new ast.ExpressionStatement(new ast.AssignmentExpression('=', new ast.Identifier(cond_tmp),
+                                                                                 new ast.BinaryExpression('==', new ast.Identifier(x), new ast.Identifier(null_tmp)))));
+        return cond_tmp;
+      }
+
       /* To simplify counterfactual execution, we want to replace conditionals of the
        * form
        * 
@@ -956,8 +2468,42 @@ define(function(require, exports) {
         }
       }
 
-      if(root.type === 'FunctionDeclaration' || root.type === 'FunctionExpression') {
-        var body = normalizeStatement(root.body);
+      if(isFunction(root)) {
+        // parameters that are destructuring patterns are replaced by temporaries, which are destructured
+        // at the beginning of the body; a parameter with a default value is checked for undefined, and a
+        // rest parameter is obtained by slicing 'arguments'
+        var param_stmts = [], params = [];
+        root.params.forEach(function(param, i) {
+          var stmts;
+          if(param.type === 'Identifier') {
+            params.push(param);
+            return;
+          } else if(param.type === 'AssignmentPattern' && param.left.type === 'Identifier') {
+            // if(x === void 0) x = e;
+            params.push(param.left);
+            stmts = normalizeStatement(inheritPosition(new ast.IfStatement(new ast.BinaryExpression('===', new ast.Identifier(param.left.name), new ast.UnaryExpression('void', new ast.Literal(0))),
+                                                                           new ast.ExpressionStatement(new ast.AssignmentExpression('=', new ast.Identifier(param.left.name), param.right)),
+                                                                           null), param));
+          } else if(param.type === 'RestElement') {
+            // args = arguments; rest = Array.prototype.slice.call(args, i);
+            var args_tmp = genTmp(), rest_tmp = genTmp();
+            stmts = [inheritPosition(new ast.ExpressionStatement(new ast.AssignmentExpression('=', new ast.Identifier(args_tmp), new ast.Identifier('arguments'))), param)]
+                    .concat(normalizeExpression(inheritPosition(new ast.CallExpression(new ast.MemberExpression(new ast.MemberExpression(new ast.MemberExpression(mkBuiltin('Array'), new ast.Identifier('prototype'), false),
+                                                                                                                                           new ast.Identifier('slice'), false),
+                                                                                                                 new ast.Identifier('call'), false),
+                                                                                       [new ast.Identifier(args_tmp), new ast.Literal(i)]), param), rest_tmp),
+                            normalizePattern(param.argument, rest_tmp));
+          } else {
+            var param_tmp = genTmp(true);
+            params.push(inheritPosition(new ast.Identifier(param_tmp), param));
+            stmts = normalizePattern(param, param_tmp);
+          }
+          param_stmts = param_stmts.concat(stmts);
+        });
+
+        // the body of an arrow function may be an expression, which is returned
+        var body = root.body.type === 'BlockStatement' ? normalizeStatement(root.body)
+                                                       : normalizeStatement(inheritPosition(new ast.ReturnStatement(root.body), root.body));
 
         if(options.backwards_compatible)
           insertNoOpAfterFinalIf(body);
@@ -968,32 +2514,39 @@ define(function(require, exports) {
         else if(cflow.mayCompleteNormally(new ast.BlockStatement(body)))
           body.push(new ast.ReturnStatement(null));
 
-        if(ast.getAttribute(root, 'exposed'))
-          throw new Error("Cannot handle downward exposed function expressions.");
-
-        // process locally declared functions
-        var fundecls;
+        // process locally declared functions; those nested in blocks are initialized when their block is entered
+        var fundecls, block_funs = decls.collectBlockFunctions(root.body.body);
         if(options.backwards_compatible) {
           fundecls = [];
           scope.decls.forEach(function(decl) {
-            if(decl.type === 'FunctionDeclaration')
-              fundecls = normalizeExpression(inheritPosition(new ast.AssignmentExpression('=', new ast.Identifier(decl.id.name),
-                                                                                               new ast.FunctionExpression(decl.id, decl.params, decl.body)), decl)).concat(fundecls);
+            if(decl.type === 'FunctionDeclaration' && block_funs.indexOf(decl) === -1)
+              fundecls = normalizeFunctionDecl(decl).concat(fundecls);
           });
         } else {
           fundecls = scope.decls.flatmap(function(decl) {
-            if(decl.type === 'FunctionDeclaration')
-              return normalizeExpression(inheritPosition(new ast.AssignmentExpression('=', new ast.Identifier(decl.id.name),
-                                                                                           new ast.FunctionExpression(null, decl.params, decl.body)), decl));
+            if(decl.type === 'FunctionDeclaration' && block_funs.indexOf(decl) === -1)
+              return normalizeFunctionDecl(decl);
             return [];
           });
         }
-        body = fundecls.concat(body);
 
-        // create variable declaration for local variables, functions and generated temporaries
+        // initialise temporaries holding 'this' and 'arguments' for nested arrow functions
+        var lexical_inits = [];
+        ['this', 'arguments'].forEach(function(kind) {
+          var tmp = scope.lexical_tmps && scope.lexical_tmps[kind];
+          if(tmp) {
+            tmps.push(new ast.VariableDeclarator(new ast.Identifier(tmp), null));
+            lexical_inits.push(new ast.ExpressionStatement(new ast.AssignmentExpression('=', new ast.Identifier(tmp),
+                                                                                             kind === 'this' ? new ast.ThisExpression() : new ast.Identifier(kind))));
+          }
+        });
+        body = inheritPosition(lexical_inits, root).concat(param_stmts, fundecls, body);
+
+        // create variable declaration for local variables, functions and generated temporaries; variables
+        // bound by destructuring patterns in the parameter list are local variables, too
         var local_names = [];
         scope.decls.forEach(function(decl) {
-          if(decl.type !== 'FunctionDeclaration' && decl.type !== 'VariableDeclarator')
+          if(params.indexOf(decl) !== -1)
             return;
           var name = decls.getDeclName(decl);
           if(local_names.indexOf(name) === -1)
@@ -1003,39 +2556,140 @@ define(function(require, exports) {
                                    tmps);
         if(localDecls.length > 0)
           body.unshift(new ast.VariableDeclaration(localDecls, 'var'));
+        if(scope.isStrict())
+          body.unshift(mkUseStrict());
 
-        var fn_expr = new ast.FunctionExpression(root.id, root.params, new ast.BlockStatement(body));
+        var fn_expr = new ast.FunctionExpression(root.id, params, new ast.BlockStatement(body), !!root.generator, !!root.async);
         if(ret_var)
           ast.setAttribute(fn_expr, 'ret_var', ret_var);
+        if(root.type === 'ArrowFunctionExpression')
+          ast.setAttribute(fn_expr, 'isArrow', true);
+        // in a strict function, 'this' is not coerced to an object, so it is undefined for unbound calls
+        ast.setAttribute(fn_expr, 'isStrict', scope.isStrict());
+        if(scope.evalLocals)
+          ast.setAttribute(fn_expr, 'evalLocals', scope.evalLocals);
         return inheritPosition(fn_expr, root);
       } else if(root.type === 'Program') {
+        // imports of a module are performed at its very beginning
+        var imports = root.body.flatmap(function(stmt) {
+          if(stmt.type !== 'ImportDeclaration')
+            return [];
+          return inheritPosition(stmt.specifiers.map(function(spec) {
+            var imported = spec.type === 'ImportDefaultSpecifier' ? 'default' : spec.type === 'ImportNamespaceSpecifier' ? '*' : spec.imported.name;
+            module_table.imports.push({ local: spec.local.name, module: stmt.source.value, imported: imported });
+            return mkImport(spec.local.name, stmt.source.value, imported);
+          }), stmt);
+        });
+
+        // exported function declarations are hoisted along with their export
+        var fun_exports = root.body.flatmap(function(stmt) {
+          if((stmt.type === 'ExportNamedDeclaration' || stmt.type === 'ExportDefaultDeclaration') &&
+             stmt.declaration && stmt.declaration.type === 'FunctionDeclaration' && stmt.declaration.id)
+            return inheritPosition([mkExport(stmt.type === 'ExportDefaultDeclaration' ? 'default' : stmt.declaration.id.name, stmt.declaration.id.name)], stmt);
+          return [];
+        });
+
         var body = root.body.flatmap(function(stmt) { return normalizeStatement(stmt); });
   
-        // declarations for locally declared functions become assignments to be inserted at the beginning of the program
+        // declarations for locally declared functions become assignments to be inserted at the beginning of the program,
+        // except for those nested in blocks, which are initialized when their block is entered
+        var block_funs = decls.collectBlockFunctions(root.body);
         var fundecls = scope.decls.flatmap(function(decl) {
-          if(decl.type === 'FunctionDeclaration')
-            return normalizeExpression(inheritPosition(new ast.AssignmentExpression('=', new ast.Identifier(decl.id.name),
-                                                                                         new ast.FunctionExpression(options.backwards_compatible ? decl.id : null, 
-                                                                                                                    decl.params, decl.body)), decl));
+          if(decl.type === 'FunctionDeclaration' && block_funs.indexOf(decl) === -1)
+            return normalizeFunctionDecl(decl);
           return [];
         });
   
-        // variable declaration for temporaries, if necessary
+        // create the frozen strings objects of tagged template call sites:
+        //   site = [cooked1, ..., cookedn]; Object.defineProperty(site, 'raw', { value: Object.freeze([raw1, ..., rawn]) }); Object.freeze(site);
+        var site_inits = template_sites.flatmap(function(site) {
+          function mkStrings(kind) {
+            return new ast.ArrayExpression(site.quasi.quasis.map(function(quasi) {
+              var str = quasi.value[kind];
+              return typeof str === 'string' ? new ast.Literal(str) : new ast.UnaryExpression('void', new ast.Literal(0));
+            }));
+          }
+          function mkFreeze(arg) {
+            return new ast.CallExpression(new ast.MemberExpression(mkBuiltin('Object'), new ast.Identifier('freeze'), false), [arg]);
+          }
+          tmps.push(new ast.VariableDeclarator(new ast.Identifier(site.name), null));
+          var raw_desc = new ast.ObjectExpression([new ast.Property(new ast.Identifier('value'), mkFreeze(mkStrings('raw')), 'init')]);
+          return normalizeExpression(inheritPosition(mkStrings('cooked'), site.quasi), site.name)
+                .concat(normalizeExpression(inheritPosition(new ast.CallExpression(new ast.MemberExpression(mkBuiltin('Object'), new ast.Identifier('defineProperty'), false),
+                                                                                   [new ast.Identifier(site.name), new ast.Literal('raw'), raw_desc]), site.quasi)),
+                        normalizeExpression(inheritPosition(mkFreeze(new ast.Identifier(site.name)), site.quasi)));
+        });
+  
+        // variable declaration for temporaries, if necessary; the top-level variables of a module are local to the module
+        var module_vars = [];
+        if(is_module)
+          scope.decls.forEach(function(decl) {
+            var name = decls.getDeclName(decl);
+            if(module_vars.indexOf(name) === -1)
+              module_vars.push(name);
+          });
+        tmps = module_vars.map(function(x) { return new ast.VariableDeclarator(new ast.Identifier(x), null); }).concat(tmps);
         var tmpdecls = tmps.length > 0 ? [new ast.VariableDeclaration(tmps, 'var')] : [];
+        if(scope.isStrict())
+          tmpdecls.unshift(mkUseStrict());
   
         if(options.backwards_compatible)
           insertNoOpAfterFinalIf(body);
   
         // whole program is wrapped into (function(__global) { ... })(typeof global === 'undefined' ? this : global);
-        return new ast.Program([new ast.ExpressionStatement(new ast.CallExpression(new ast.FunctionExpression(null, [new ast.Identifier("__global")],
-                                                                                                             new ast.BlockStatement(tmpdecls.concat(fundecls, body))),
+        // the import/export table of a module is stored in attribute 'moduleTable'
+        var prog = new ast.Program([new ast.ExpressionStatement(new ast.CallExpression(new ast.FunctionExpression(null, [new ast.Identifier("__global")],
+                                                                                                             new ast.BlockStatement(tmpdecls.concat(imports, site_inits, fundecls, fun_exports, body))),
                                                                                    [new ast.ConditionalExpression(new ast.BinaryExpression('===', new ast.UnaryExpression('typeof', new ast.Identifier('global')), new ast.Literal('undefined')),
                                                                                    								  new ast.ThisExpression(), new ast.Identifier("global"))]))]);
+        // the wrapper and the declaration of temporaries are derived from the program, but have no position
+        var provenance = ast.getAttribute(root, 'provenance');
+        (function setProvenance(nd) {
+          if(Array.isArray(nd))
+            return nd.forEach(setProvenance);
+          if(nd && typeof nd.type === 'string' && !ast.getAttribute(nd, 'provenance')) {
+            ast.setAttribute(nd, 'provenance', provenance);
+            ast.forEachChild(nd, setProvenance);
+          }
+        })(prog);
+        return is_module ? ast.setAttribute(prog, 'moduleTable', module_table) : prog;
       }
     }
    
-    return normalizeEntity(nd, new scopes.GlobalScope(nd));
+    var normalized;
+    if(is_module)
+      normalized = normalizeEntity(nd, new scopes.ModuleScope(new scopes.GlobalScope(new ast.Program([])), nd));
+    else
+      normalized = normalizeEntity(nd, new scopes.GlobalScope(nd));
+    
+    // mark all occurrences of temporary variables and labels (but not of renamed block-scoped variables) with attribute 'isTmp'
+    (function markTmps(nd) {
+      if(Array.isArray(nd))
+        return nd.forEach(markTmps);
+      if(!nd || typeof nd.type !== 'string')
+        return;
+      if(nd.type === 'Identifier' && tmp_names[nd.name] === false)
+        ast.setAttribute(nd, 'isTmp', true);
+      ast.forEachChild(nd, markTmps);
+    })(normalized);
+    
+    // build the reverse index: every statement of the normalized program is recorded in attribute 'derived' of the
+    // original node it was derived from, and of all enclosing original nodes
+    (function indexDerived(nd) {
+      if(Array.isArray(nd))
+        return nd.forEach(indexDerived);
+      if(!nd || typeof nd.type !== 'string')
+        return;
+      var provenance = ast.getAttribute(nd, 'provenance');
+      if(provenance && (/Statement$/.test(nd.type) && nd.type !== 'BlockStatement' || nd.type === 'VariableDeclaration'))
+        for(var orig=provenance.node;orig&&ast.getAttribute(orig, 'derived');orig=ast.getAttribute(orig, 'provenance').parent)
+          ast.getAttribute(orig, 'derived').push(nd);
+      ast.forEachChild(nd, indexDerived);
+    })(normalized);
+    
+    return normalized;
   }
     
+  exports.NormalizationError = NormalizationError;
   exports.normalize = normalize;
 });
@@ -11,8 +11,8 @@
 
 /**
  * Scope objects keep track of name binding. Each scope object represents
- * either the global scope, a function scope, a catch clause scope, or
- * a 'with' scope.
+ * either the global scope, a module scope, a function scope, a block scope,
+ * a catch clause scope, or a 'with' scope.
  */
 
 if(typeof define !== 'function') {
@@ -20,7 +20,8 @@ if(typeof define !== 'function') {
 }
 
 define(function(require, exports) {
-  var decls = require('./decls');
+  var decls = require('./decls'),
+      getDeclName = decls.getDeclName;
   
   // abstract base class of all scopes
   function Scope(outer, decls) {
@@ -35,7 +36,12 @@ define(function(require, exports) {
   
   // does x have a declaration at the global level?
   Scope.prototype.isDeclaredGlobal = function(x) {
-    return this.outer.isDeclaredGlobal();
+    return this.outer.isDeclaredGlobal(x);
+  };
+  
+  // is code in this scope strict mode code?
+  Scope.prototype.isStrict = function() {
+    return this.outer.isStrict();
   };
   
   // look up x among the local declarations in this scope
@@ -54,34 +60,120 @@ define(function(require, exports) {
     return this.localLookup(x) || this.outer && this.outer.lookup(x);
   };
   
-  // object representing the global scope
+  // does x refer to the name of an enclosing named function expression, which cannot be assigned to?
+  Scope.prototype.isFunctionExpressionName = function(x) {
+    return !this.localLookup(x) && !!this.outer && this.outer.isFunctionExpressionName(x);
+  };
+  
+  // the names in the normalized program of the local variables declared in this scope
+  Scope.prototype.getLocalNames = function() {
+    return this.decls.map(function(decl) {
+      return this.resolve(getDeclName(decl));
+    }, this);
+  };
+  
+  // the closest enclosing scope that determines the meaning of 'this' and 'arguments';
+  // this is either the global scope or the scope of a function that is not an arrow function
+  Scope.prototype.getThisScope = function() {
+    return this.outer.getThisScope();
+  };
+  
+  // the name under which variable x is known in the normalized program; this
+  // is only different from x for block-scoped variables, which get renamed
+  Scope.prototype.resolve = function(x) {
+    return this.outer && !this.localLookup(x) ? this.outer.resolve(x) : x;
+  };
+  
+  // does the given list of statements start with a "use strict" directive?
+  function hasUseStrictDirective(stmts) {
+    for(var i=0;i<stmts.length;++i) {
+      var stmt = stmts[i];
+      if(stmt.type !== 'ExpressionStatement' || stmt.expression.type !== 'Literal' || typeof stmt.expression.value !== 'string')
+        return false;
+      if((stmt.directive || stmt.expression.value) === 'use strict')
+        return true;
+    }
+    return false;
+  }
+  
+  // object representing the global scope; top-level 'let' and 'const' declarations
+  // are treated like 'var' declarations
   function GlobalScope(root) {
-    Scope.call(this, null, decls.collectDecls(root, []));
+    Scope.call(this, null, decls.collectLexicalDecls(root.body, decls.collectDecls(root, [])));
+    this.strict = hasUseStrictDirective(root.body);
   }
   GlobalScope.prototype = Object.create(Scope.prototype);
   
   GlobalScope.prototype.isGlobal = function(x) { return true; };
   GlobalScope.prototype.isLocal = function(x) { return false; };
   GlobalScope.prototype.possibleWithBindings = function(x) { return []; };
+  GlobalScope.prototype.getThisScope = function() { return this; };
+  GlobalScope.prototype.isStrict = function() { return this.strict; };
+  GlobalScope.prototype.getLocalNames = function() { return []; };
   GlobalScope.prototype.isDeclaredGlobal = function(x) {
     return !!this.localLookup(x);
   };
     
-  // constructor representing a function scope
+  // constructor representing the scope of an ES module; all top-level declarations (including
+  // imports) are local to the module, while undeclared variables are global; modules are
+  // always strict mode code
+  function ModuleScope(outer, root) {
+    Scope.call(this, outer, decls.collectImportDecls(root.body, decls.collectLexicalDecls(root.body, decls.collectDecls(root, []))));
+  }
+  ModuleScope.prototype = Object.create(Scope.prototype);
+  
+  ModuleScope.prototype.possibleWithBindings = function(x) { return []; };
+  ModuleScope.prototype.getThisScope = function() { return this; };
+  ModuleScope.prototype.isStrict = function() { return true; };
+  
+  // constructor representing a function scope; 'let' and 'const' declarations at the
+  // top level of the function body are treated like 'var' declarations; the body of
+  // an arrow function may be an expression; a function is strict if it is nested inside strict
+  // mode code or starts with a "use strict" directive (the normalizer also sets 'strict' for
+  // class members)
   function FunctionScope(outer, fn) {
     this.fn = fn;
-    Scope.call(this, outer, fn.params.concat(decls.collectDecls(fn.body, [])));
+    var body_stmts = fn.body.type === 'BlockStatement' ? fn.body.body : [];
+    Scope.call(this, outer, decls.collectPatternDecls(fn.params, []).concat(decls.collectLexicalDecls(body_stmts, decls.collectDecls(fn.body, []))));
+    this.strict = outer.isStrict() || hasUseStrictDirective(body_stmts);
   }
   FunctionScope.prototype = Object.create(Scope.prototype);
   
-  // 'arguments' and (in a named function expression) the function itself are local,
-  // even though they are not declared
+  // 'arguments' (except in an arrow function) and (in a named function expression) the
+  // function itself are local, even though they are not declared
   FunctionScope.prototype.isLocal = function(x) {
-    return x === 'arguments' ||
+    return x === 'arguments' && this.fn.type !== 'ArrowFunctionExpression' ||
            this.fn.type === 'FunctionExpression' && this.fn.id && this.fn.id.name === x ||
            Scope.prototype.isLocal.call(this, x);
   };
   
+  FunctionScope.prototype.isStrict = function() { return this.strict; };
+  
+  FunctionScope.prototype.getLocalNames = function() {
+    var names = Scope.prototype.getLocalNames.call(this);
+    if(this.fn.type !== 'ArrowFunctionExpression')
+      names.push('arguments');
+    if(this.fn.type === 'FunctionExpression' && this.fn.id)
+      names.push(this.fn.id.name);
+    return names;
+  };
+  
+  FunctionScope.prototype.isFunctionExpressionName = function(x) {
+    if(this.localLookup(x) || x === 'arguments' && this.fn.type !== 'ArrowFunctionExpression')
+      return false;
+    if(this.fn.type === 'FunctionExpression' && this.fn.id && this.fn.id.name === x)
+      return true;
+    return this.outer.isFunctionExpressionName(x);
+  };
+  
+  FunctionScope.prototype.getThisScope = function() {
+    return this.fn.type === 'ArrowFunctionExpression' ? this.outer.getThisScope() : this;
+  };
+  
+  FunctionScope.prototype.resolve = function(x) {
+    return this.isLocal(x) ? x : this.outer.resolve(x);
+  };
+  
   // list of enclosing with statements (represented by the variables they 'with' on) that
   // may bind x
   FunctionScope.prototype.possibleWithBindings = function(x) {
@@ -90,6 +182,38 @@ define(function(require, exports) {
     return this.outer.possibleWithBindings(x);
   };
   
+  // constructor representing the scope of 'let' and 'const' declarations in a block
+  // (or a 'for' loop or 'switch' statement); since blocks are flattened during normalization,
+  // every declared variable x is renamed to the name obtained by calling genName(x)
+  function BlockScope(outer, decls, genName) {
+    Scope.call(this, outer, decls);
+    this.names = {};
+    decls.forEach(function(decl) {
+      var x = getDeclName(decl);
+      this.names[x] = genName(x);
+    }, this);
+  }
+  BlockScope.prototype = Object.create(Scope.prototype);
+  
+  BlockScope.prototype.isLocal = function(x) { return !!this.localLookup(x) || this.outer.isLocal(x); };
+  
+  BlockScope.prototype.resolve = function(x) {
+    return this.localLookup(x) ? this.names[x] : this.outer.resolve(x);
+  };
+  
+  BlockScope.prototype.possibleWithBindings = function(x) {
+    if(this.localLookup(x))
+      return [];
+    return this.outer.possibleWithBindings(x);
+  };
+  
+  // the new names of all variables declared in this block scope
+  BlockScope.prototype.getLocalNames = function() {
+    return this.decls.map(function(decl) {
+      return this.names[getDeclName(decl)];
+    }, this);
+  };
+  
   // constructor representing a catch clause scope
   function CatchScope(outer, cc) {
     Scope.call(this, outer, [cc.param]);
@@ -119,9 +243,12 @@ define(function(require, exports) {
     return bindings;
   };
   
+  exports.hasUseStrictDirective = hasUseStrictDirective;
   exports.Scope = Scope;
   exports.GlobalScope = GlobalScope;
+  exports.ModuleScope = ModuleScope;
   exports.FunctionScope = FunctionScope;
+  exports.BlockScope = BlockScope;
   exports.CatchScope = CatchScope;
   exports.WithScope = WithScope;
 });
\ No newline at end of file
@@ -0,0 +1,162 @@
+/*******************************************************************************
+ * Copyright (c) 2012 IBM Corporation.
+ * All rights reserved. This program and the accompanying materials
+ * are made available under the terms of the Eclipse Public License v1.0
+ * which accompanies this distribution, and is available at
+ * http://www.eclipse.org/legal/epl-v10.html
+ *
+ * Contributors:
+ *     IBM Corporation - initial API and implementation
+ *******************************************************************************/
+
+/**
+ * Generation of source maps (version 3) for normalized programs.
+ *
+ * The source map is computed from the normalized AST and the code it was pretty-printed
+ * to: the code is parsed again, and the resulting AST is traversed in parallel with the
+ * normalized AST, so that every generated statement and expression is mapped to the
+ * position of the original node it stems from.
+ */
+
+if(typeof define !== 'function') {
+  var define = require('amdefine')(module);
+}
+
+define(function(require, exports) {
+  var ast = require('../../common/lib/ast'),
+      esprima = require('esprima');
+
+  var BASE64_DIGITS = "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/";
+
+  // encode an integer as a base 64 VLQ
+  function encodeVLQ(n) {
+    var vlq = n < 0 ? (-n << 1) + 1 : n << 1, res = "";
+    do {
+      var digit = vlq & 31;
+      vlq >>>= 5;
+      if(vlq > 0)
+        digit |= 32;
+      res += BASE64_DIGITS[digit];
+    } while(vlq > 0);
+    return res;
+  }
+
+  // compute the offsets at which the lines of the given text start
+  function computeLineStarts(text) {
+    var starts = [0], re = /\r\n?|\n|\u2028|\u2029/g, m;
+    while((m = re.exec(text)))
+      starts.push(m.index + m[0].length);
+    return starts;
+  }
+
+  // traverse the normalized AST nd and the AST gen parsed from the generated code in parallel,
+  // invoking cb on every pair of corresponding nodes; subtrees whose structure does not match
+  // are skipped
+  function forEachCorrespondingNode(nd, gen, cb) {
+    if(!nd || !gen || typeof nd !== 'object' || typeof gen !== 'object')
+      return;
+
+    if(Array.isArray(nd)) {
+      if(Array.isArray(gen))
+        for(var i=0;i<nd.length&&i<gen.length;++i)
+          forEachCorrespondingNode(nd[i], gen[i], cb);
+      return;
+    }
+
+    if(nd.type !== gen.type || !ast[nd.type])
+      return;
+
+    cb(nd, gen);
+    for(var i=0,n=ast.getNumChild(nd);i<n;++i)
+      forEachCorrespondingNode(ast.getChild(nd, i), ast.getChild(gen, i), cb);
+  }
+
+  /**
+   * Builds a source map for code, which is the result of pretty-printing the normalized AST normalized.
+   *
+   * @param normalized the normalized AST
+   *
+   * @param code the generated code
+   *
+   * @param options an optional object with the following properties:
+   *   - file: the name of the generated file, recorded in the source map
+   *   - sourceContents: an object mapping URLs of original source files to their text, which is included
+   *                     in the source map; for positions without column information, original columns
+   *                     are computed from the text (for other files, column 0 is used)
+   *
+   * @return an object representing the source map, which can be serialized using JSON.stringify
+   */
+  function generateSourceMap(normalized, code, options) {
+    options = options || {};
+    var source_contents = options.sourceContents || {};
+    var generated = esprima.parse(code, { loc: true });
+
+    // collect mappings from generated positions to original positions
+    var mappings = [], seen = {}, sources = [], source_idx = {}, line_starts = {};
+    forEachCorrespondingNode(normalized, generated, function(nd, gen) {
+      var pos = ast.getAttribute(nd, 'pos');
+      if(!pos || !(pos.start_line > 0) || !gen.loc)
+        return;
+
+      // only the outermost node starting at a given generated position is mapped
+      var key = gen.loc.start.line + ":" + gen.loc.start.column;
+      if(seen.hasOwnProperty(key))
+        return;
+      seen[key] = true;
+
+      if(!source_idx.hasOwnProperty(pos.url)) {
+        source_idx[pos.url] = sources.length;
+        sources.push(pos.url);
+        if(source_contents.hasOwnProperty(pos.url))
+          line_starts[pos.url] = computeLineStarts(source_contents[pos.url]);
+      }
+
+      var column = pos.start_column, starts = line_starts[pos.url];
+      if(!(column >= 0))
+        column = starts && pos.start_offset >= 0 && pos.start_line <= starts.length ? Math.max(0, pos.start_offset - starts[pos.start_line-1]) : 0;
+
+      mappings.push({ gen_line: gen.loc.start.line, gen_column: gen.loc.start.column,
+                      source: source_idx[pos.url], orig_line: pos.start_line-1, orig_column: column });
+    });
+
+    mappings.sort(function(m1, m2) {
+      return m1.gen_line - m2.gen_line || m1.gen_column - m2.gen_column;
+    });
+
+    // encode mappings; all fields except the generated column are relative to the previous segment,
+    // the generated column is relative to the previous segment on the same line
+    var encoded = "", line = 1, prev_column = 0, prev_source = 0, prev_orig_line = 0, prev_orig_column = 0;
+    mappings.forEach(function(m) {
+      if(m.gen_line !== line) {
+        for(;line<m.gen_line;++line)
+          encoded += ";";
+        prev_column = 0;
+      } else if(encoded.length && encoded[encoded.length-1] !== ';') {
+        encoded += ",";
+      }
+      encoded += encodeVLQ(m.gen_column - prev_column) +
+                 encodeVLQ(m.source - prev_source) +
+                 encodeVLQ(m.orig_line - prev_orig_line) +
+                 encodeVLQ(m.orig_column - prev_orig_column);
+      prev_column = m.gen_column;
+      prev_source = m.source;
+      prev_orig_line = m.orig_line;
+      prev_orig_column = m.orig_column;
+    });
+
+    var map = { version: 3 };
+    if(options.file)
+      map.file = options.file;
+    map.sources = sources;
+    if(sources.some(function(url) { return source_contents.hasOwnProperty(url); }))
+      map.sourcesContent = sources.map(function(url) {
+        return source_contents.hasOwnProperty(url) ? source_contents[url] : null;
+      });
+    map.names = [];
+    map.mappings = encoded;
+    return map;
+  }
+
+  exports.encodeVLQ = encodeVLQ;
+  exports.generateSourceMap = generateSourceMap;
+});
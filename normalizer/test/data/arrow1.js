@@ -0,0 +1,5 @@
+function f() {
+  var g = (x) => this[x] + arguments.length;
+  return () => () => this;
+}
+h = x => x * 2;
\ No newline at end of file
@@ -0,0 +1,4 @@
+async function f(url) {
+  var res = await fetch(url);
+  return (async x => await x.json())(res);
+}
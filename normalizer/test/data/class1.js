@@ -0,0 +1,10 @@
+class A extends B {
+  constructor(x) {
+    super(x);
+  }
+  m() {
+    return super.m();
+  }
+  static s() {}
+  get g() { return 1; }
+}
\ No newline at end of file
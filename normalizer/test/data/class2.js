@@ -0,0 +1,8 @@
+function f(Object, Function) {
+  class A extends B {
+    get g() { return super.g; }
+  }
+  class C {
+    static s() { return super.name; }
+  }
+}
@@ -0,0 +1,5 @@
+var i, j;
+outer: for(i in o)
+  for(j = 0; j < i; ++j)
+    if(o[i][j])
+      continue outer;
\ No newline at end of file
@@ -0,0 +1,9 @@
+function f({ a, b: [c, d = a] }, e) {
+  var [x, , y] = e;
+  [x.p, y] = [y, x];
+  try {
+    g(c, d);
+  } catch({ message }) {
+    return message;
+  }
+}
@@ -0,0 +1,4 @@
+function f(Symbol, Object) {
+  var [a, b] = xs;
+  return a + b;
+}
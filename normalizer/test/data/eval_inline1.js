@@ -0,0 +1,6 @@
+// {"inline_eval":true}
+function f(a) {
+  var r = eval("a + 1; var q = 2;");
+  var g = new Function("x", "return x + " + "q;");
+  return q;
+}
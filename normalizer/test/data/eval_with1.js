@@ -0,0 +1,5 @@
+function f(o) {
+  with (o) {
+    eval("x");
+  }
+}
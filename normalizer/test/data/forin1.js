@@ -0,0 +1,4 @@
+function f(o, x) {
+  for (o.p in x)
+    g(o.p);
+}
@@ -0,0 +1,7 @@
+function f(xs) {
+  for (var x of xs) {
+    if (x)
+      continue;
+    g(x);
+  }
+}
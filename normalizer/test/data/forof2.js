@@ -0,0 +1,4 @@
+function f(Symbol) {
+  for(var e of xs)
+    g(e);
+}
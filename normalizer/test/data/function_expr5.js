@@ -0,0 +1,7 @@
+var f = function g() {
+  g = 1;
+  return function () {
+    "use strict";
+    g = 2;
+  };
+};
@@ -0,0 +1,5 @@
+function* g(xs) {
+  var y = yield xs[0];
+  yield* xs;
+  return f(yield, y);
+}
@@ -0,0 +1,4 @@
+var tmp1 = "tmp0";
+function f(tmp3) {
+  return tmp3 + tmp1;
+}
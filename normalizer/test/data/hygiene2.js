@@ -0,0 +1,5 @@
+// {"tmp_prefix":"$"}
+var x = 1;
+function f($1) {
+  return $1 + x;
+}
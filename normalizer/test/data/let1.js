@@ -0,0 +1,9 @@
+function f(x) {
+  let y = x;
+  {
+    let x = 2;
+    y = x;
+  }
+  return g(z) + y;
+  const z = 3;
+}
\ No newline at end of file
@@ -0,0 +1,7 @@
+var fs = [];
+for(let i = 0; i < 3; i++)
+  fs.push(function() { return i; });
+for(const p in fs) {
+  let q = p;
+  fs[q]();
+}
\ No newline at end of file
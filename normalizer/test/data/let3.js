@@ -0,0 +1,13 @@
+function f(k) {
+  {
+    let k = 1, j = 2;
+    eval("k + j");
+  }
+}
+
+function g() {
+  {
+    let k = 3;
+    return eval("k");
+  }
+}
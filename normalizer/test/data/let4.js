@@ -0,0 +1,9 @@
+// {"switch_blocks":true}
+switch(x) {
+case 0:
+  let y = 1;
+  f(y);
+case 1:
+  const z = 2;
+  g(y, z);
+}
@@ -0,0 +1,10 @@
+function g() {
+  {
+    let y = 5;
+    function h() {
+      return y;
+    }
+    return h();
+  }
+}
+g();
@@ -0,0 +1,13 @@
+// {"single_loop_test":true}
+var i, s = 0;
+outer: for(i = 0; i < a.length; ++i) {
+  var j = 0;
+  while(j < i) {
+    if(a[j] === a[i])
+      continue outer;
+    ++j;
+  }
+  s += a[i];
+}
+for(;;)
+  if(s > 10) break;
\ No newline at end of file
@@ -0,0 +1,11 @@
+// {"sourceType":"module"}
+import d, { a as b } from "m";
+import * as ns from "n";
+export var x = b;
+export function f() {
+  return ns.g(x);
+}
+export { d as e };
+export * from "o";
+export default 42;
+y = this;
@@ -0,0 +1,40 @@
+(function(__global) {
+    var tmp0, tmp1, tmp5, tmp6;
+    tmp6 = function() {
+        var g, tmp16, tmp12, tmp15;
+        tmp12 = this;
+        tmp15 = arguments;
+        g = function(x) {
+            var tmp7, tmp8, tmp9, tmp10, tmp11, tmp13, tmp14;
+            tmp10 = tmp12;
+            tmp11 = x;
+            tmp8 = tmp10[tmp11];
+            tmp13 = tmp15;
+            tmp14 = "length";
+            tmp9 = tmp13[tmp14];
+            tmp7 = tmp8 + tmp9;
+            return tmp7;
+        };
+        tmp16 = function() {
+            var tmp17;
+            tmp17 = function() {
+                var tmp18;
+                tmp18 = tmp12;
+                return tmp18;
+            };
+            return tmp17;
+        };
+        return tmp16;
+    };
+    tmp5 = "f";
+    __global[tmp5] = tmp6;
+    tmp1 = function(x) {
+        var tmp2, tmp3, tmp4;
+        tmp3 = x;
+        tmp4 = 2;
+        tmp2 = tmp3 * tmp4;
+        return tmp2;
+    };
+    tmp0 = "h";
+    __global[tmp0] = tmp1;
+})(typeof global === 'undefined' ? this : global);
\ No newline at end of file
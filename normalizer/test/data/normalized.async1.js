@@ -0,0 +1,24 @@
+(function(__global) {
+    var tmp0, tmp1;
+    tmp1 = async function(url) {
+        var res, tmp2, tmp3, tmp4, tmp5, tmp6, tmp7, tmp12;
+        tmp4 = "fetch";
+        tmp3 = __global[tmp4];
+        tmp5 = url;
+        tmp2 = tmp3(tmp5);
+        res = await tmp2;
+        tmp7 = async function(x) {
+            var tmp8, tmp9, tmp10, tmp11;
+            tmp10 = x;
+            tmp11 = "json";
+            tmp9 = tmp10[tmp11]();
+            tmp8 = await tmp9;
+            return tmp8;
+        };
+        tmp12 = res;
+        tmp6 = tmp7(tmp12);
+        return tmp6;
+    };
+    tmp0 = "f";
+    __global[tmp0] = tmp1;
+})(typeof global === 'undefined' ? this : global);
\ No newline at end of file
@@ -0,0 +1,17 @@
+(function(__global) {
+    var tmp0, tmp1;
+    tmp1 = function() {
+        var x, tmp2, tmp3, tmp4, tmp5;
+        try {
+            tmp3 = "g";
+            tmp2 = __global[tmp3];
+            tmp4 = tmp2();
+        } catch (e) {
+            x = e;
+        }
+        tmp5 = x;
+        return tmp5;
+    };
+    tmp0 = "f";
+    __global[tmp0] = tmp1;
+})(typeof global === 'undefined' ? this : global);
\ No newline at end of file
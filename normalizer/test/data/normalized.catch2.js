@@ -0,0 +1,28 @@
+(function(__global) {
+    var tmp1, tmp2, tmp3, tmp5, tmp6, tmp7, tmp8, tmp9, tmp10, tmp11, tmp12, tmp14, tmp15, tmp16, tmp17;
+    try {
+        tmp2 = "f";
+        tmp1 = __global[tmp2];
+        tmp3 = tmp1();
+    } catch (tmp0) {
+        let tmp4;
+        tmp4 = tmp0;
+        tmp6 = tmp4;
+        tmp8 = "TypeError";
+        tmp7 = __global[tmp8];
+        tmp5 = tmp6 instanceof tmp7;
+        if (tmp5) {
+            tmp10 = "g";
+            tmp9 = __global[tmp10];
+            tmp11 = tmp4;
+            tmp12 = tmp9(tmp11);
+        } else {
+            let tmp13;
+            tmp13 = tmp0;
+            tmp15 = "h";
+            tmp14 = __global[tmp15];
+            tmp16 = tmp13;
+            tmp17 = tmp14(tmp16);
+        }
+    }
+})(typeof global === 'undefined' ? this : global);
\ No newline at end of file
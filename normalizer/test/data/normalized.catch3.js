@@ -0,0 +1,39 @@
+(function(__global) {
+    var tmp1, tmp2, tmp3, tmp5, tmp6, tmp7, tmp8, tmp9, tmp10, tmp11, tmp12, tmp14, tmp15, tmp16, tmp17, tmp18, tmp19, tmp20, tmp21, tmp22, tmp23, tmp24, tmp25;
+    try {
+        try {
+            tmp2 = "f";
+            tmp1 = __global[tmp2];
+            tmp3 = tmp1();
+        } catch (tmp0) {
+            let tmp4;
+            tmp4 = tmp0;
+            tmp6 = tmp4;
+            tmp8 = "TypeError";
+            tmp7 = __global[tmp8];
+            tmp5 = tmp6 instanceof tmp7;
+            if (tmp5) {
+                tmp10 = "g";
+                tmp9 = __global[tmp10];
+                tmp11 = tmp4;
+                tmp12 = tmp9(tmp11);
+            } else {
+                let tmp13;
+                tmp14 = tmp0;
+                tmp15 = "message";
+                tmp17 = tmp14;
+                tmp18 = tmp15;
+                tmp16 = tmp17[tmp18];
+                tmp13 = tmp16;
+                tmp20 = "h";
+                tmp19 = __global[tmp20];
+                tmp21 = tmp13;
+                tmp22 = tmp19(tmp21);
+            }
+        }
+    } finally {
+        tmp24 = "k";
+        tmp23 = __global[tmp24];
+        tmp25 = tmp23();
+    }
+})(typeof global === 'undefined' ? this : global);
\ No newline at end of file
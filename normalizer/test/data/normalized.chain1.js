@@ -0,0 +1,82 @@
+(function(__global) {
+    var tmp0, tmp1, tmp2, tmp3, tmp4, tmp5, tmp6, tmp7, tmp8, tmp9, tmp10, tmp11, tmp12, tmp13, tmp14, tmp15, tmp16, tmp17, tmp18, tmp19, tmp20, tmp21, tmp22, tmp23, tmp24, tmp25, tmp26, tmp27, tmp28, tmp29, tmp30, tmp31, tmp32, tmp33, tmp34, tmp35, tmp36, tmp37, tmp38, tmp39, tmp40, tmp41, tmp42, tmp43, tmp44, tmp45, tmp46, tmp47, tmp48, tmp49, tmp50, tmp51, tmp52, tmp53, tmp54, tmp55, tmp56, tmp57, tmp58;
+    tmp1 = "a";
+    tmp0 = __global[tmp1];
+    tmp2 = null;
+    tmp3 = tmp0 == tmp2;
+    if (tmp3) {
+        ;
+    } else {
+        tmp6 = tmp0;
+        tmp7 = "b";
+        tmp4 = tmp6[tmp7];
+        tmp5 = "c";
+        tmp8 = tmp4[tmp5];
+    }
+    tmp11 = "o";
+    tmp10 = __global[tmp11];
+    tmp12 = tmp10;
+    tmp13 = "m";
+    tmp9 = tmp12[tmp13];
+    tmp14 = null;
+    tmp15 = tmp9 == tmp14;
+    if (tmp15) {
+        ;
+    } else {
+        tmp16 = tmp9;
+        tmp17 = "call";
+        tmp18 = tmp10;
+        tmp20 = "x";
+        tmp19 = __global[tmp20];
+        tmp21 = tmp16[tmp17](tmp18, tmp19);
+    }
+    tmp23 = "f";
+    tmp22 = __global[tmp23];
+    tmp24 = null;
+    tmp25 = tmp22 == tmp24;
+    if (tmp25) {
+        ;
+    } else {
+        tmp26 = tmp22;
+        tmp28 = "y";
+        tmp27 = __global[tmp28];
+        tmp29 = tmp26(tmp27);
+    }
+    tmp33 = "p";
+    tmp32 = __global[tmp33];
+    tmp35 = null;
+    tmp36 = tmp32 == tmp35;
+    if (tmp36) {
+        tmp34 = 0;
+        tmp30 = void tmp34;
+    } else {
+        tmp31 = tmp32;
+        tmp37 = tmp31;
+        tmp38 = "m";
+        tmp30 = tmp37[tmp38];
+    }
+    tmp40 = tmp30;
+    tmp41 = "call";
+    tmp42 = tmp31;
+    tmp39 = tmp40[tmp41](tmp42);
+    tmp46 = "p";
+    tmp45 = __global[tmp46];
+    tmp48 = null;
+    tmp49 = tmp45 == tmp48;
+    if (tmp49) {
+        tmp47 = 0;
+        tmp43 = void tmp47;
+    } else {
+        tmp44 = tmp45;
+        tmp50 = tmp44;
+        tmp52 = "k";
+        tmp51 = __global[tmp52];
+        tmp43 = tmp50[tmp51];
+    }
+    tmp54 = tmp43;
+    tmp55 = "call";
+    tmp56 = tmp44;
+    tmp58 = "z";
+    tmp57 = __global[tmp58];
+    tmp53 = tmp54[tmp55](tmp56, tmp57);
+})(typeof global === 'undefined' ? this : global);
\ No newline at end of file
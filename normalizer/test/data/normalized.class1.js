@@ -0,0 +1,114 @@
+(function(__global) {
+    var tmp0, tmp1, tmp2, tmp3, tmp4, tmp5, tmp6, tmp7, tmp8, tmp14, tmp15, tmp16, tmp17, tmp18, tmp19, tmp20, tmp21, tmp22, tmp23, tmp24, tmp25, tmp26, tmp27, tmp28, tmp29, tmp30, tmp31, tmp32, tmp33, tmp34, tmp35, tmp36, tmp37, tmp38, tmp45, tmp46, tmp47, tmp48, tmp49, tmp50, tmp51, tmp52, tmp53, tmp54, tmp55, tmp56, tmp57, tmp58, tmp59, tmp60, tmp61, tmp62, tmp63, tmp64, tmp65, tmp66, tmp67, tmp68, tmp70, tmp71, tmp72, tmp73, tmp74, tmp75, tmp76, tmp77, tmp78;
+    tmp4 = "B";
+    tmp2 = __global[tmp4];
+    tmp5 = tmp2;
+    tmp6 = "prototype";
+    tmp3 = tmp5[tmp6];
+    tmp7 = function A(x) {
+        "use strict";
+        var tmp9, tmp10, tmp11, tmp12, tmp13;
+        tmp10 = tmp2;
+        tmp11 = "call";
+        tmp12 = this;
+        tmp13 = x;
+        tmp9 = tmp10[tmp11](tmp12, tmp13);
+        return;
+    };
+    tmp16 = "Object";
+    tmp14 = __global[tmp16];
+    tmp15 = "create";
+    tmp17 = tmp3;
+    tmp8 = tmp14[tmp15](tmp17);
+    tmp18 = tmp7;
+    tmp19 = "prototype";
+    tmp20 = tmp8;
+    tmp18[tmp19] = tmp20;
+    tmp23 = "Object";
+    tmp21 = __global[tmp23];
+    tmp22 = "defineProperty";
+    tmp24 = tmp8;
+    tmp25 = "constructor";
+    tmp27 = tmp7;
+    tmp28 = true;
+    tmp29 = true;
+    tmp26 = {
+        value: tmp27,
+        writable: tmp28,
+        configurable: tmp29
+    };
+    tmp30 = tmp21[tmp22](tmp24, tmp25, tmp26);
+    tmp33 = "Object";
+    tmp31 = __global[tmp33];
+    tmp32 = "setPrototypeOf";
+    tmp34 = tmp7;
+    tmp35 = tmp2;
+    tmp36 = tmp31[tmp32](tmp34, tmp35);
+    tmp37 = "m";
+    tmp38 = function() {
+        "use strict";
+        var tmp39, tmp40, tmp41, tmp42, tmp43, tmp44;
+        tmp42 = tmp3;
+        tmp43 = "m";
+        tmp40 = tmp42[tmp43];
+        tmp41 = "call";
+        tmp44 = this;
+        tmp39 = tmp40[tmp41](tmp44);
+        return tmp39;
+    };
+    tmp47 = "Object";
+    tmp45 = __global[tmp47];
+    tmp46 = "defineProperty";
+    tmp48 = tmp8;
+    tmp49 = tmp37;
+    tmp51 = tmp38;
+    tmp52 = true;
+    tmp53 = true;
+    tmp50 = {
+        value: tmp51,
+        writable: tmp52,
+        configurable: tmp53
+    };
+    tmp54 = tmp45[tmp46](tmp48, tmp49, tmp50);
+    tmp55 = "s";
+    tmp56 = function() {
+        "use strict";
+        return;
+    };
+    tmp59 = "Object";
+    tmp57 = __global[tmp59];
+    tmp58 = "defineProperty";
+    tmp60 = tmp7;
+    tmp61 = tmp55;
+    tmp63 = tmp56;
+    tmp64 = true;
+    tmp65 = true;
+    tmp62 = {
+        value: tmp63,
+        writable: tmp64,
+        configurable: tmp65
+    };
+    tmp66 = tmp57[tmp58](tmp60, tmp61, tmp62);
+    tmp67 = "g";
+    tmp68 = function() {
+        "use strict";
+        var tmp69;
+        tmp69 = 1;
+        return tmp69;
+    };
+    tmp72 = "Object";
+    tmp70 = __global[tmp72];
+    tmp71 = "defineProperty";
+    tmp73 = tmp8;
+    tmp74 = tmp67;
+    tmp76 = tmp68;
+    tmp77 = true;
+    tmp75 = {
+        get: tmp76,
+        configurable: tmp77
+    };
+    tmp78 = tmp70[tmp71](tmp73, tmp74, tmp75);
+    tmp1 = tmp7;
+    tmp0 = "A";
+    __global[tmp0] = tmp1;
+})(typeof global === 'undefined' ? this : global);
\ No newline at end of file
@@ -0,0 +1,110 @@
+(function(__global) {
+    var tmp0, tmp1;
+    tmp1 = function(Object, Function) {
+        var A, C, tmp2, tmp3, tmp4, tmp5, tmp6, tmp7, tmp8, tmp14, tmp15, tmp16, tmp17, tmp18, tmp19, tmp20, tmp21, tmp22, tmp23, tmp24, tmp25, tmp26, tmp27, tmp28, tmp29, tmp30, tmp31, tmp32, tmp33, tmp34, tmp35, tmp36, tmp37, tmp38, tmp42, tmp43, tmp44, tmp45, tmp46, tmp47, tmp48, tmp49, tmp50, tmp51, tmp52, tmp53, tmp54, tmp55, tmp56, tmp57, tmp58, tmp59, tmp60, tmp64, tmp65, tmp66, tmp67, tmp68, tmp69, tmp70, tmp71, tmp72, tmp73;
+        tmp4 = "B";
+        tmp2 = __global[tmp4];
+        tmp5 = tmp2;
+        tmp6 = "prototype";
+        tmp3 = tmp5[tmp6];
+        tmp7 = function A() {
+            "use strict";
+            var tmp9, tmp10, tmp11, tmp12, tmp13;
+            tmp9 = tmp2;
+            tmp10 = "apply";
+            tmp11 = this;
+            tmp12 = arguments;
+            tmp13 = tmp9[tmp10](tmp11, tmp12);
+            return;
+        };
+        tmp16 = "Object";
+        tmp14 = __global[tmp16];
+        tmp15 = "create";
+        tmp17 = tmp3;
+        tmp8 = tmp14[tmp15](tmp17);
+        tmp18 = tmp7;
+        tmp19 = "prototype";
+        tmp20 = tmp8;
+        tmp18[tmp19] = tmp20;
+        tmp23 = "Object";
+        tmp21 = __global[tmp23];
+        tmp22 = "defineProperty";
+        tmp24 = tmp8;
+        tmp25 = "constructor";
+        tmp27 = tmp7;
+        tmp28 = true;
+        tmp29 = true;
+        tmp26 = {
+            value: tmp27,
+            writable: tmp28,
+            configurable: tmp29
+        };
+        tmp30 = tmp21[tmp22](tmp24, tmp25, tmp26);
+        tmp33 = "Object";
+        tmp31 = __global[tmp33];
+        tmp32 = "setPrototypeOf";
+        tmp34 = tmp7;
+        tmp35 = tmp2;
+        tmp36 = tmp31[tmp32](tmp34, tmp35);
+        tmp37 = "g";
+        tmp38 = function() {
+            "use strict";
+            var tmp39, tmp40, tmp41;
+            tmp40 = tmp3;
+            tmp41 = "g";
+            tmp39 = tmp40[tmp41];
+            return tmp39;
+        };
+        tmp44 = "Object";
+        tmp42 = __global[tmp44];
+        tmp43 = "defineProperty";
+        tmp45 = tmp8;
+        tmp46 = tmp37;
+        tmp48 = tmp38;
+        tmp49 = true;
+        tmp47 = {
+            get: tmp48,
+            configurable: tmp49
+        };
+        tmp50 = tmp42[tmp43](tmp45, tmp46, tmp47);
+        A = tmp7;
+        tmp54 = "Function";
+        tmp52 = __global[tmp54];
+        tmp53 = "prototype";
+        tmp51 = tmp52[tmp53];
+        tmp55 = function C() {
+            "use strict";
+            return;
+        };
+        tmp57 = tmp55;
+        tmp58 = "prototype";
+        tmp56 = tmp57[tmp58];
+        tmp59 = "s";
+        tmp60 = function() {
+            "use strict";
+            var tmp61, tmp62, tmp63;
+            tmp62 = tmp51;
+            tmp63 = "name";
+            tmp61 = tmp62[tmp63];
+            return tmp61;
+        };
+        tmp66 = "Object";
+        tmp64 = __global[tmp66];
+        tmp65 = "defineProperty";
+        tmp67 = tmp55;
+        tmp68 = tmp59;
+        tmp70 = tmp60;
+        tmp71 = true;
+        tmp72 = true;
+        tmp69 = {
+            value: tmp70,
+            writable: tmp71,
+            configurable: tmp72
+        };
+        tmp73 = tmp64[tmp65](tmp67, tmp68, tmp69);
+        C = tmp55;
+        return;
+    };
+    tmp0 = "f";
+    __global[tmp0] = tmp1;
+})(typeof global === 'undefined' ? this : global);
\ No newline at end of file
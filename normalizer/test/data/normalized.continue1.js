@@ -0,0 +1,54 @@
+(function(__global) {
+    var tmp0, tmp3, tmp4, tmp5, tmp6, tmp7, tmp8, tmp9, tmp10, tmp11, tmp12, tmp13, tmp14, tmp15, tmp16, tmp17, tmp18, tmp19, tmp22, tmp23, tmp24, tmp25, tmp26, tmp27, tmp28, tmp29, tmp30, tmp31, tmp32;
+    outer: {
+        tmp3 = "o";
+        tmp0 = __global[tmp3];
+        tmp1: {
+            for (tmp30 in tmp0) {
+                tmp32 = tmp30;
+                tmp31 = "i";
+                __global[tmp31] = tmp32;
+                tmp2: {
+                    tmp5 = 0;
+                    tmp4 = "j";
+                    __global[tmp4] = tmp5;
+                    tmp9 = "j";
+                    tmp7 = __global[tmp9];
+                    tmp10 = "i";
+                    tmp8 = __global[tmp10];
+                    tmp6 = tmp7 < tmp8;
+                    tmp20: {
+                        while (tmp6) {
+                            tmp21: {
+                                tmp27 = "o";
+                                tmp25 = __global[tmp27];
+                                tmp28 = "i";
+                                tmp26 = __global[tmp28];
+                                tmp23 = tmp25[tmp26];
+                                tmp29 = "j";
+                                tmp24 = __global[tmp29];
+                                tmp22 = tmp23[tmp24];
+                                if (tmp22) {
+                                    break tmp2;
+                                } else {
+                                    ;
+                                }
+                            }
+                            tmp19 = "j";
+                            tmp17 = __global[tmp19];
+                            tmp18 = 1;
+                            tmp16 = tmp17 + tmp18;
+                            tmp15 = "j";
+                            __global[tmp15] = tmp16;
+                            tmp13 = "j";
+                            tmp11 = __global[tmp13];
+                            tmp14 = "i";
+                            tmp12 = __global[tmp14];
+                            tmp6 = tmp11 < tmp12;
+                        }
+                    }
+                }
+            }
+        }
+    }
+})(typeof global === 'undefined' ? this : global);
\ No newline at end of file
@@ -0,0 +1,272 @@
+(function(__global) {
+    var tmp0, tmp1;
+    tmp1 = function(tmp2, e) {
+        var a, c, d, x, y, tmp3, tmp4, tmp5, tmp6, tmp7, tmp8, tmp9, tmp10, tmp11, tmp12, tmp13, tmp14, tmp15, tmp16, tmp17, tmp18, tmp19, tmp20, tmp21, tmp22, tmp23, tmp24, tmp25, tmp26, tmp27, tmp28, tmp29, tmp30, tmp31, tmp32, tmp33, tmp34, tmp35, tmp36, tmp37, tmp38, tmp39, tmp40, tmp41, tmp42, tmp43, tmp44, tmp45, tmp46, tmp47, tmp48, tmp49, tmp50, tmp51, tmp52, tmp53, tmp54, tmp55, tmp56, tmp57, tmp58, tmp59, tmp60, tmp61, tmp62, tmp63, tmp64, tmp65, tmp66, tmp67, tmp68, tmp69, tmp70, tmp71, tmp72, tmp73, tmp74, tmp75, tmp76, tmp77, tmp78, tmp79, tmp80, tmp81, tmp82, tmp83, tmp84, tmp85, tmp86, tmp87, tmp88, tmp89, tmp90, tmp91, tmp92, tmp93, tmp94, tmp95, tmp96, tmp97, tmp98, tmp99, tmp100, tmp101, tmp102, tmp103, tmp104, tmp105, tmp106, tmp107, tmp108, tmp109, tmp110, tmp111, tmp112, tmp113, tmp114, tmp115, tmp116, tmp117, tmp118, tmp119, tmp120, tmp121, tmp122, tmp123, tmp124, tmp125, tmp126, tmp127, tmp128, tmp129, tmp130, tmp131, tmp132, tmp133, tmp134, tmp135, tmp136, tmp137, tmp138, tmp139, tmp140, tmp141, tmp142, tmp143, tmp144, tmp145, tmp146, tmp147, tmp148, tmp149, tmp150, tmp151, tmp152, tmp153, tmp156, tmp157, tmp158, tmp159, tmp160;
+        tmp3 = "a";
+        tmp5 = tmp2;
+        tmp6 = tmp3;
+        tmp4 = tmp5[tmp6];
+        a = tmp4;
+        tmp7 = "b";
+        tmp9 = tmp2;
+        tmp10 = tmp7;
+        tmp8 = tmp9[tmp10];
+        tmp14 = tmp8;
+        tmp18 = "Symbol";
+        tmp16 = __global[tmp18];
+        tmp17 = "iterator";
+        tmp15 = tmp16[tmp17];
+        tmp11 = tmp14[tmp15]();
+        tmp12 = false;
+        tmp20 = tmp12;
+        tmp19 = !tmp20;
+        if (tmp19) {
+            tmp21 = tmp11;
+            tmp22 = "next";
+            tmp13 = tmp21[tmp22]();
+            tmp23 = tmp13;
+            tmp24 = "done";
+            tmp12 = tmp23[tmp24];
+        } else {
+            ;
+        }
+        tmp26 = tmp12;
+        if (tmp26) {
+            tmp27 = 0;
+            tmp25 = void tmp27;
+        } else {
+            tmp28 = tmp13;
+            tmp29 = "value";
+            tmp25 = tmp28[tmp29];
+        }
+        c = tmp25;
+        tmp31 = tmp12;
+        tmp30 = !tmp31;
+        if (tmp30) {
+            tmp32 = tmp11;
+            tmp33 = "next";
+            tmp13 = tmp32[tmp33]();
+            tmp34 = tmp13;
+            tmp35 = "done";
+            tmp12 = tmp34[tmp35];
+        } else {
+            ;
+        }
+        tmp37 = tmp12;
+        if (tmp37) {
+            tmp38 = 0;
+            tmp36 = void tmp38;
+        } else {
+            tmp39 = tmp13;
+            tmp40 = "value";
+            tmp36 = tmp39[tmp40];
+        }
+        tmp43 = tmp36;
+        tmp45 = 0;
+        tmp44 = void tmp45;
+        tmp42 = tmp43 === tmp44;
+        if (tmp42) {
+            tmp41 = a;
+        } else {
+            tmp41 = tmp36;
+        }
+        d = tmp41;
+        tmp48 = tmp12;
+        tmp47 = !tmp48;
+        if (tmp47) {
+            tmp49 = tmp11;
+            tmp50 = "return";
+            tmp46 = tmp49[tmp50];
+            tmp51 = tmp46;
+            if (tmp51) {
+                tmp52 = tmp46;
+                tmp53 = "call";
+                tmp54 = tmp11;
+                tmp55 = tmp52[tmp53](tmp54);
+            } else {
+                ;
+            }
+        } else {
+            ;
+        }
+        tmp56 = e;
+        tmp60 = tmp56;
+        tmp64 = "Symbol";
+        tmp62 = __global[tmp64];
+        tmp63 = "iterator";
+        tmp61 = tmp62[tmp63];
+        tmp57 = tmp60[tmp61]();
+        tmp58 = false;
+        tmp66 = tmp58;
+        tmp65 = !tmp66;
+        if (tmp65) {
+            tmp67 = tmp57;
+            tmp68 = "next";
+            tmp59 = tmp67[tmp68]();
+            tmp69 = tmp59;
+            tmp70 = "done";
+            tmp58 = tmp69[tmp70];
+        } else {
+            ;
+        }
+        tmp72 = tmp58;
+        if (tmp72) {
+            tmp73 = 0;
+            tmp71 = void tmp73;
+        } else {
+            tmp74 = tmp59;
+            tmp75 = "value";
+            tmp71 = tmp74[tmp75];
+        }
+        x = tmp71;
+        tmp77 = tmp58;
+        tmp76 = !tmp77;
+        if (tmp76) {
+            tmp78 = tmp57;
+            tmp79 = "next";
+            tmp59 = tmp78[tmp79]();
+            tmp80 = tmp59;
+            tmp81 = "done";
+            tmp58 = tmp80[tmp81];
+        } else {
+            ;
+        }
+        tmp83 = tmp58;
+        tmp82 = !tmp83;
+        if (tmp82) {
+            tmp84 = tmp57;
+            tmp85 = "next";
+            tmp59 = tmp84[tmp85]();
+            tmp86 = tmp59;
+            tmp87 = "done";
+            tmp58 = tmp86[tmp87];
+        } else {
+            ;
+        }
+        tmp89 = tmp58;
+        if (tmp89) {
+            tmp90 = 0;
+            tmp88 = void tmp90;
+        } else {
+            tmp91 = tmp59;
+            tmp92 = "value";
+            tmp88 = tmp91[tmp92];
+        }
+        y = tmp88;
+        tmp95 = tmp58;
+        tmp94 = !tmp95;
+        if (tmp94) {
+            tmp96 = tmp57;
+            tmp97 = "return";
+            tmp93 = tmp96[tmp97];
+            tmp98 = tmp93;
+            if (tmp98) {
+                tmp99 = tmp93;
+                tmp100 = "call";
+                tmp101 = tmp57;
+                tmp102 = tmp99[tmp100](tmp101);
+            } else {
+                ;
+            }
+        } else {
+            ;
+        }
+        tmp104 = y;
+        tmp105 = x;
+        tmp103 = [
+            tmp104,
+            tmp105
+        ];
+        tmp109 = tmp103;
+        tmp113 = "Symbol";
+        tmp111 = __global[tmp113];
+        tmp112 = "iterator";
+        tmp110 = tmp111[tmp112];
+        tmp106 = tmp109[tmp110]();
+        tmp107 = false;
+        tmp115 = tmp107;
+        tmp114 = !tmp115;
+        if (tmp114) {
+            tmp116 = tmp106;
+            tmp117 = "next";
+            tmp108 = tmp116[tmp117]();
+            tmp118 = tmp108;
+            tmp119 = "done";
+            tmp107 = tmp118[tmp119];
+        } else {
+            ;
+        }
+        tmp121 = tmp107;
+        if (tmp121) {
+            tmp122 = 0;
+            tmp120 = void tmp122;
+        } else {
+            tmp123 = tmp108;
+            tmp124 = "value";
+            tmp120 = tmp123[tmp124];
+        }
+        tmp125 = x;
+        tmp126 = "p";
+        tmp127 = tmp120;
+        tmp125[tmp126] = tmp127;
+        tmp129 = tmp107;
+        tmp128 = !tmp129;
+        if (tmp128) {
+            tmp130 = tmp106;
+            tmp131 = "next";
+            tmp108 = tmp130[tmp131]();
+            tmp132 = tmp108;
+            tmp133 = "done";
+            tmp107 = tmp132[tmp133];
+        } else {
+            ;
+        }
+        tmp135 = tmp107;
+        if (tmp135) {
+            tmp136 = 0;
+            tmp134 = void tmp136;
+        } else {
+            tmp137 = tmp108;
+            tmp138 = "value";
+            tmp134 = tmp137[tmp138];
+        }
+        y = tmp134;
+        tmp141 = tmp107;
+        tmp140 = !tmp141;
+        if (tmp140) {
+            tmp142 = tmp106;
+            tmp143 = "return";
+            tmp139 = tmp142[tmp143];
+            tmp144 = tmp139;
+            if (tmp144) {
+                tmp145 = tmp139;
+                tmp146 = "call";
+                tmp147 = tmp106;
+                tmp148 = tmp145[tmp146](tmp147);
+            } else {
+                ;
+            }
+        } else {
+            ;
+        }
+        try {
+            tmp150 = "g";
+            tmp149 = __global[tmp150];
+            tmp151 = c;
+            tmp152 = d;
+            tmp153 = tmp149(tmp151, tmp152);
+        } catch (tmp154) {
+            let tmp155;
+            tmp156 = "message";
+            tmp158 = tmp154;
+            tmp159 = tmp156;
+            tmp157 = tmp158[tmp159];
+            tmp155 = tmp157;
+            tmp160 = tmp155;
+            return tmp160;
+        }
+        return;
+    };
+    tmp0 = "f";
+    __global[tmp0] = tmp1;
+})(typeof global === 'undefined' ? this : global);
\ No newline at end of file
@@ -0,0 +1,83 @@
+(function(__global) {
+    var tmp0, tmp1;
+    tmp1 = function(Symbol, Object) {
+        var a, b, tmp2, tmp3, tmp4, tmp5, tmp6, tmp7, tmp8, tmp9, tmp10, tmp11, tmp12, tmp13, tmp14, tmp15, tmp16, tmp17, tmp18, tmp19, tmp20, tmp21, tmp22, tmp23, tmp24, tmp25, tmp26, tmp27, tmp28, tmp29, tmp30, tmp31, tmp32, tmp33, tmp34, tmp35, tmp36, tmp37, tmp38, tmp39, tmp40, tmp41, tmp42, tmp43, tmp44, tmp45, tmp46;
+        tmp3 = "xs";
+        tmp2 = __global[tmp3];
+        tmp7 = tmp2;
+        tmp11 = "Symbol";
+        tmp9 = __global[tmp11];
+        tmp10 = "iterator";
+        tmp8 = tmp9[tmp10];
+        tmp4 = tmp7[tmp8]();
+        tmp5 = false;
+        tmp13 = tmp5;
+        tmp12 = !tmp13;
+        if (tmp12) {
+            tmp14 = tmp4;
+            tmp15 = "next";
+            tmp6 = tmp14[tmp15]();
+            tmp16 = tmp6;
+            tmp17 = "done";
+            tmp5 = tmp16[tmp17];
+        } else {
+            ;
+        }
+        tmp19 = tmp5;
+        if (tmp19) {
+            tmp20 = 0;
+            tmp18 = void tmp20;
+        } else {
+            tmp21 = tmp6;
+            tmp22 = "value";
+            tmp18 = tmp21[tmp22];
+        }
+        a = tmp18;
+        tmp24 = tmp5;
+        tmp23 = !tmp24;
+        if (tmp23) {
+            tmp25 = tmp4;
+            tmp26 = "next";
+            tmp6 = tmp25[tmp26]();
+            tmp27 = tmp6;
+            tmp28 = "done";
+            tmp5 = tmp27[tmp28];
+        } else {
+            ;
+        }
+        tmp30 = tmp5;
+        if (tmp30) {
+            tmp31 = 0;
+            tmp29 = void tmp31;
+        } else {
+            tmp32 = tmp6;
+            tmp33 = "value";
+            tmp29 = tmp32[tmp33];
+        }
+        b = tmp29;
+        tmp36 = tmp5;
+        tmp35 = !tmp36;
+        if (tmp35) {
+            tmp37 = tmp4;
+            tmp38 = "return";
+            tmp34 = tmp37[tmp38];
+            tmp39 = tmp34;
+            if (tmp39) {
+                tmp40 = tmp34;
+                tmp41 = "call";
+                tmp42 = tmp4;
+                tmp43 = tmp40[tmp41](tmp42);
+            } else {
+                ;
+            }
+        } else {
+            ;
+        }
+        tmp45 = a;
+        tmp46 = b;
+        tmp44 = tmp45 + tmp46;
+        return tmp44;
+    };
+    tmp0 = "f";
+    __global[tmp0] = tmp1;
+})(typeof global === 'undefined' ? this : global);
\ No newline at end of file
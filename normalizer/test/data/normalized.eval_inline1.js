@@ -0,0 +1,22 @@
+(function(__global) {
+    var tmp0, tmp1;
+    tmp1 = function(a) {
+        var r, g, q, tmp2, tmp3, tmp8;
+        tmp2 = a;
+        tmp3 = 1;
+        r = tmp2 + tmp3;
+        q = 2;
+        g = function anonymous(x) {
+            var tmp4, tmp5, tmp6, tmp7;
+            tmp5 = x;
+            tmp7 = "q";
+            tmp6 = __global[tmp7];
+            tmp4 = tmp5 + tmp6;
+            return tmp4;
+        };
+        tmp8 = q;
+        return tmp8;
+    };
+    tmp0 = "f";
+    __global[tmp0] = tmp1;
+})(typeof global === 'undefined' ? this : global);
\ No newline at end of file
@@ -0,0 +1,18 @@
+(function(__global) {
+    var tmp0, tmp1;
+    tmp1 = function(o) {
+        var tmp2, tmp3, tmp4, tmp5, tmp6;
+        tmp2 = o;
+        tmp3 = "x";
+        tmp5 = "eval";
+        tmp6 = tmp5 in tmp2;
+        if (tmp6) {
+            tmp4 = tmp2[tmp5](tmp3);
+        } else {
+            tmp4 = eval(tmp3);
+        }
+        return;
+    };
+    tmp0 = "f";
+    __global[tmp0] = tmp1;
+})(typeof global === 'undefined' ? this : global);
\ No newline at end of file
@@ -0,0 +1,26 @@
+(function(__global) {
+    var tmp0, tmp1;
+    tmp1 = function(o, x) {
+        var tmp2, tmp5, tmp6, tmp7, tmp8, tmp9, tmp10, tmp11, tmp12, tmp13, tmp14;
+        tmp2 = x;
+        tmp3: {
+            for (tmp11 in tmp2) {
+                tmp12 = o;
+                tmp13 = "p";
+                tmp14 = tmp11;
+                tmp12[tmp13] = tmp14;
+                tmp4: {
+                    tmp6 = "g";
+                    tmp5 = __global[tmp6];
+                    tmp8 = o;
+                    tmp9 = "p";
+                    tmp7 = tmp8[tmp9];
+                    tmp10 = tmp5(tmp7);
+                }
+            }
+        }
+        return;
+    };
+    tmp0 = "f";
+    __global[tmp0] = tmp1;
+})(typeof global === 'undefined' ? this : global);
\ No newline at end of file
@@ -0,0 +1,71 @@
+(function(__global) {
+    var tmp0, tmp1;
+    tmp1 = function(xs) {
+        var x, tmp2, tmp3, tmp4, tmp5, tmp6, tmp7, tmp8, tmp9, tmp10, tmp11, tmp12, tmp15, tmp16, tmp17, tmp18, tmp19, tmp20, tmp21, tmp22, tmp23, tmp24, tmp25, tmp26, tmp27, tmp28, tmp29, tmp30, tmp31, tmp32, tmp33, tmp34, tmp35;
+        tmp7 = xs;
+        tmp11 = "Symbol";
+        tmp9 = __global[tmp11];
+        tmp10 = "iterator";
+        tmp8 = tmp9[tmp10];
+        tmp2 = tmp7[tmp8]();
+        try {
+            tmp12 = true;
+            tmp13: {
+                while (tmp12) {
+                    tmp14: {
+                        tmp3 = true;
+                        tmp15 = tmp2;
+                        tmp16 = "next";
+                        tmp4 = tmp15[tmp16]();
+                        tmp18 = tmp4;
+                        tmp19 = "done";
+                        tmp17 = tmp18[tmp19];
+                        if (tmp17) {
+                            break tmp13;
+                        } else {
+                            ;
+                        }
+                        tmp20 = tmp4;
+                        tmp21 = "value";
+                        tmp5 = tmp20[tmp21];
+                        tmp3 = false;
+                        x = tmp5;
+                        tmp22 = x;
+                        if (tmp22) {
+                            break tmp14;
+                        } else {
+                            ;
+                        }
+                        tmp24 = "g";
+                        tmp23 = __global[tmp24];
+                        tmp25 = x;
+                        tmp26 = tmp23(tmp25);
+                    }
+                    tmp12 = true;
+                }
+            }
+        } finally {
+            tmp28 = tmp3;
+            tmp27 = !tmp28;
+            if (tmp27) {
+                tmp29 = tmp2;
+                tmp30 = "return";
+                tmp6 = tmp29[tmp30];
+                tmp31 = tmp6;
+                if (tmp31) {
+                    tmp32 = tmp6;
+                    tmp33 = "call";
+                    tmp34 = tmp2;
+                    tmp35 = tmp32[tmp33](tmp34);
+                } else {
+                    ;
+                }
+            } else {
+                ;
+            }
+        }
+        return;
+    };
+    tmp0 = "f";
+    __global[tmp0] = tmp1;
+})(typeof global === 'undefined' ? this : global);
\ No newline at end of file
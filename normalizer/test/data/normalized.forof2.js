@@ -0,0 +1,66 @@
+(function(__global) {
+    var tmp0, tmp1;
+    tmp1 = function(Symbol) {
+        var e, tmp2, tmp3, tmp4, tmp5, tmp6, tmp7, tmp8, tmp9, tmp10, tmp11, tmp12, tmp13, tmp16, tmp17, tmp18, tmp19, tmp20, tmp21, tmp22, tmp23, tmp24, tmp25, tmp26, tmp27, tmp28, tmp29, tmp30, tmp31, tmp32, tmp33, tmp34, tmp35;
+        tmp9 = "xs";
+        tmp7 = __global[tmp9];
+        tmp12 = "Symbol";
+        tmp10 = __global[tmp12];
+        tmp11 = "iterator";
+        tmp8 = tmp10[tmp11];
+        tmp2 = tmp7[tmp8]();
+        try {
+            tmp13 = true;
+            tmp14: {
+                while (tmp13) {
+                    tmp15: {
+                        tmp3 = true;
+                        tmp16 = tmp2;
+                        tmp17 = "next";
+                        tmp4 = tmp16[tmp17]();
+                        tmp19 = tmp4;
+                        tmp20 = "done";
+                        tmp18 = tmp19[tmp20];
+                        if (tmp18) {
+                            break tmp14;
+                        } else {
+                            ;
+                        }
+                        tmp21 = tmp4;
+                        tmp22 = "value";
+                        tmp5 = tmp21[tmp22];
+                        tmp3 = false;
+                        e = tmp5;
+                        tmp24 = "g";
+                        tmp23 = __global[tmp24];
+                        tmp25 = e;
+                        tmp26 = tmp23(tmp25);
+                    }
+                    tmp13 = true;
+                }
+            }
+        } finally {
+            tmp28 = tmp3;
+            tmp27 = !tmp28;
+            if (tmp27) {
+                tmp29 = tmp2;
+                tmp30 = "return";
+                tmp6 = tmp29[tmp30];
+                tmp31 = tmp6;
+                if (tmp31) {
+                    tmp32 = tmp6;
+                    tmp33 = "call";
+                    tmp34 = tmp2;
+                    tmp35 = tmp32[tmp33](tmp34);
+                } else {
+                    ;
+                }
+            } else {
+                ;
+            }
+        }
+        return;
+    };
+    tmp0 = "f";
+    __global[tmp0] = tmp1;
+})(typeof global === 'undefined' ? this : global);
\ No newline at end of file
@@ -0,0 +1,19 @@
+(function(__global) {
+    var tmp0, tmp1;
+    tmp1 = function g() {
+        var tmp2, tmp3;
+        tmp2 = 1;
+        tmp3 = function() {
+            "use strict";
+            var tmp4, tmp5, tmp6, tmp7;
+            tmp4 = 2;
+            tmp5 = "TypeError";
+            tmp6 = __global[tmp5];
+            tmp7 = new tmp6();
+            throw tmp7;
+        };
+        return tmp3;
+    };
+    tmp0 = "f";
+    __global[tmp0] = tmp1;
+})(typeof global === 'undefined' ? this : global);
\ No newline at end of file
@@ -0,0 +1,22 @@
+(function(__global) {
+    var tmp0, tmp1;
+    tmp1 = function*(xs) {
+        var y, tmp2, tmp3, tmp4, tmp5, tmp6, tmp7, tmp8, tmp9, tmp10, tmp11, tmp12, tmp13;
+        tmp3 = xs;
+        tmp4 = 0;
+        tmp2 = tmp3[tmp4];
+        y = yield tmp2;
+        tmp5 = xs;
+        tmp6 = yield* tmp5;
+        tmp9 = "f";
+        tmp8 = __global[tmp9];
+        tmp13 = 0;
+        tmp12 = void tmp13;
+        tmp10 = yield tmp12;
+        tmp11 = y;
+        tmp7 = tmp8(tmp10, tmp11);
+        return tmp7;
+    };
+    tmp0 = "g";
+    __global[tmp0] = tmp1;
+})(typeof global === 'undefined' ? this : global);
\ No newline at end of file
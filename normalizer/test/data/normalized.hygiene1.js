@@ -0,0 +1,16 @@
+(function(__global) {
+    var tmp2, tmp4, tmp5, tmp6;
+    tmp6 = function(tmp3) {
+        var tmp7, tmp8, tmp9, tmp10;
+        tmp8 = tmp3;
+        tmp10 = "tmp1";
+        tmp9 = __global[tmp10];
+        tmp7 = tmp8 + tmp9;
+        return tmp7;
+    };
+    tmp5 = "f";
+    __global[tmp5] = tmp6;
+    tmp4 = "tmp0";
+    tmp2 = "tmp1";
+    __global[tmp2] = tmp4;
+})(typeof global === 'undefined' ? this : global);
\ No newline at end of file
@@ -0,0 +1,16 @@
+(function(__global) {
+    var $0, $2, $3, $4;
+    $4 = function($1) {
+        var $5, $6, $7, $8;
+        $6 = $1;
+        $8 = "x";
+        $7 = __global[$8];
+        $5 = $6 + $7;
+        return $5;
+    };
+    $3 = "f";
+    __global[$3] = $4;
+    $2 = 1;
+    $0 = "x";
+    __global[$0] = $2;
+})(typeof global === 'undefined' ? this : global);
\ No newline at end of file
@@ -0,0 +1,23 @@
+(function(__global) {
+    var tmp0, tmp1;
+    tmp1 = function(x) {
+        var y, z, tmp3, tmp4, tmp5, tmp6, tmp7, tmp8, tmp9, tmp10, tmp11;
+        y = x;
+        let tmp2;
+        tmp2 = 2;
+        y = tmp2;
+        tmp7 = "g";
+        tmp6 = __global[tmp7];
+        tmp9 = "ReferenceError";
+        tmp10 = __global[tmp9];
+        tmp11 = new tmp10();
+        throw tmp11;
+        tmp4 = tmp6(tmp8);
+        tmp5 = y;
+        tmp3 = tmp4 + tmp5;
+        return tmp3;
+        z = 3;
+    };
+    tmp0 = "f";
+    __global[tmp0] = tmp1;
+})(typeof global === 'undefined' ? this : global);
\ No newline at end of file
@@ -0,0 +1,51 @@
+(function(__global) {
+    var tmp0, tmp1, tmp3, tmp4, tmp5, tmp6, tmp7, tmp8, tmp9, tmp13, tmp14, tmp15, tmp16, tmp18, tmp19, tmp22, tmp23, tmp26, tmp27, tmp28, tmp29;
+    tmp1 = [];
+    tmp0 = "fs";
+    __global[tmp0] = tmp1;
+    let tmp2;
+    tmp2 = 0;
+    tmp4 = tmp2;
+    tmp5 = 3;
+    tmp3 = tmp4 < tmp5;
+    tmp10: {
+        while (tmp3) {
+            let tmp12;
+            tmp12 = tmp2;
+            tmp11: {
+                tmp15 = "fs";
+                tmp13 = __global[tmp15];
+                tmp14 = "push";
+                tmp16 = function() {
+                    var tmp17;
+                    tmp17 = tmp12;
+                    return tmp17;
+                };
+                tmp18 = tmp13[tmp14](tmp16);
+            }
+            tmp2 = tmp12;
+            tmp8 = tmp2;
+            tmp9 = 1;
+            tmp2 = tmp8 + tmp9;
+            tmp6 = tmp2;
+            tmp7 = 3;
+            tmp3 = tmp6 < tmp7;
+        }
+    }
+    tmp23 = "fs";
+    tmp19 = __global[tmp23];
+    tmp20: {
+        for (tmp22 in tmp19) {
+            let tmp24;
+            tmp24 = tmp22;
+            tmp21: {
+                let tmp25;
+                tmp25 = tmp24;
+                tmp28 = "fs";
+                tmp26 = __global[tmp28];
+                tmp27 = tmp25;
+                tmp29 = tmp26[tmp27]();
+            }
+        }
+    }
+})(typeof global === 'undefined' ? this : global);
\ No newline at end of file
@@ -0,0 +1,24 @@
+(function(__global) {
+    var tmp0, tmp1, tmp5, tmp6;
+    tmp1 = function(k) {
+        var tmp3, tmp4;
+        let tmp2, j;
+        tmp2 = 1;
+        j = 2;
+        tmp3 = "k + j";
+        tmp4 = eval(tmp3);
+        return;
+    };
+    tmp0 = "f";
+    __global[tmp0] = tmp1;
+    tmp6 = function() {
+        var tmp7, tmp8;
+        let k;
+        k = 3;
+        tmp8 = "k";
+        tmp7 = eval(tmp8);
+        return tmp7;
+    };
+    tmp5 = "g";
+    __global[tmp5] = tmp6;
+})(typeof global === 'undefined' ? this : global);
\ No newline at end of file
@@ -0,0 +1,45 @@
+(function(__global) {
+    var tmp0, tmp2, tmp5, tmp8, tmp9, tmp10, tmp11, tmp12, tmp13, tmp14, tmp15, tmp16, tmp17, tmp18, tmp19, tmp20, tmp21, tmp22, tmp23;
+    tmp2 = "x";
+    tmp0 = __global[tmp2];
+    let tmp3, tmp4;
+    tmp5 = false;
+    tmp1: {
+        tmp7: {
+            tmp6: {
+                tmp8 = 0;
+                tmp9 = tmp0 === tmp8;
+                if (tmp9) {
+                    break tmp6;
+                } else {
+                    tmp10 = 1;
+                    tmp11 = tmp0 === tmp10;
+                    if (tmp11) {
+                        break tmp7;
+                    } else {
+                        break tmp1;
+                    }
+                }
+            }
+            tmp3 = 1;
+            tmp5 = true;
+            tmp13 = "f";
+            tmp12 = __global[tmp13];
+            tmp14 = tmp3;
+            tmp15 = tmp12(tmp14);
+        }
+        tmp4 = 2;
+        tmp17 = "g";
+        tmp16 = __global[tmp17];
+        if (tmp5) {
+            tmp18 = tmp3;
+        } else {
+            tmp20 = "ReferenceError";
+            tmp21 = __global[tmp20];
+            tmp22 = new tmp21();
+            throw tmp22;
+        }
+        tmp19 = tmp4;
+        tmp23 = tmp16(tmp18, tmp19);
+    }
+})(typeof global === 'undefined' ? this : global);
\ No newline at end of file
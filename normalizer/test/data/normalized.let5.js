@@ -0,0 +1,21 @@
+(function(__global) {
+    var tmp0, tmp1, tmp2, tmp3, tmp4;
+    tmp4 = function() {
+        var h, tmp7, tmp8;
+        let tmp5;
+        h = function() {
+            var tmp6;
+            tmp6 = tmp5;
+            return tmp6;
+        };
+        tmp5 = 5;
+        tmp8 = h;
+        tmp7 = tmp8();
+        return tmp7;
+    };
+    tmp3 = "g";
+    __global[tmp3] = tmp4;
+    tmp1 = "g";
+    tmp0 = __global[tmp1];
+    tmp2 = tmp0();
+})(typeof global === 'undefined' ? this : global);
\ No newline at end of file
@@ -0,0 +1,53 @@
+(function(__global) {
+    var tmp0, tmp1, tmp2, tmp3, tmp4, tmp5, tmp6, tmp7, tmp8, tmp9, tmp10, tmp11, tmp12, tmp13, tmp14, tmp15, tmp16, tmp17, tmp18, tmp19, tmp20, tmp21, tmp22, tmp23, tmp24, tmp25, tmp26, tmp27, tmp28, tmp29, tmp30;
+    tmp1 = "a";
+    tmp0 = __global[tmp1];
+    tmp2 = null;
+    tmp3 = tmp0 == tmp2;
+    if (tmp3) {
+        tmp5 = "b";
+        tmp4 = __global[tmp5];
+    } else {
+        tmp4 = tmp0;
+    }
+    tmp7 = "x";
+    tmp6 = __global[tmp7];
+    tmp8 = null;
+    tmp9 = tmp6 == tmp8;
+    if (tmp9) {
+        tmp10 = 1;
+        tmp11 = "x";
+        __global[tmp11] = tmp10;
+    } else {
+        tmp10 = tmp6;
+    }
+    tmp14 = "o";
+    tmp12 = __global[tmp14];
+    tmp13 = "p";
+    tmp16 = tmp12;
+    tmp17 = tmp13;
+    tmp15 = tmp16[tmp17];
+    if (tmp15) {
+        tmp18 = tmp15;
+    } else {
+        tmp19 = tmp12;
+        tmp20 = tmp13;
+        tmp18 = 2;
+        tmp19[tmp20] = tmp18;
+    }
+    tmp23 = "o";
+    tmp21 = __global[tmp23];
+    tmp24 = "k";
+    tmp22 = __global[tmp24];
+    tmp26 = tmp21;
+    tmp27 = tmp22;
+    tmp25 = tmp26[tmp27];
+    if (tmp25) {
+        tmp29 = tmp21;
+        tmp30 = tmp22;
+        tmp28 = 3;
+        tmp29[tmp30] = tmp28;
+    } else {
+        tmp28 = tmp25;
+    }
+})(typeof global === 'undefined' ? this : global);
\ No newline at end of file
@@ -0,0 +1,102 @@
+(function(__global) {
+    var tmp0, tmp1, tmp2, tmp3, tmp4, tmp5, tmp6, tmp7, tmp8, tmp9, tmp12, tmp13, tmp14, tmp15, tmp16, tmp17, tmp18, tmp19, tmp20, tmp23, tmp24, tmp25, tmp26, tmp27, tmp28, tmp29, tmp30, tmp31, tmp32, tmp33, tmp34, tmp35, tmp36, tmp37, tmp38, tmp39, tmp40, tmp41, tmp42, tmp43, tmp44, tmp45, tmp46, tmp47, tmp48, tmp49, tmp50, tmp51, tmp52, tmp55, tmp56, tmp57, tmp58;
+    tmp1 = 0;
+    tmp0 = "s";
+    __global[tmp0] = tmp1;
+    outer: {
+        tmp3 = 0;
+        tmp2 = "i";
+        __global[tmp2] = tmp3;
+        tmp10: {
+            while (true) {
+                tmp14 = "i";
+                tmp12 = __global[tmp14];
+                tmp17 = "a";
+                tmp15 = __global[tmp17];
+                tmp16 = "length";
+                tmp13 = tmp15[tmp16];
+                tmp4 = tmp12 < tmp13;
+                if (tmp4) {
+                    ;
+                } else {
+                    break tmp10;
+                }
+                tmp11: {
+                    tmp19 = 0;
+                    tmp18 = "j";
+                    __global[tmp18] = tmp19;
+                    tmp21: {
+                        while (true) {
+                            tmp25 = "j";
+                            tmp23 = __global[tmp25];
+                            tmp26 = "i";
+                            tmp24 = __global[tmp26];
+                            tmp20 = tmp23 < tmp24;
+                            if (tmp20) {
+                                ;
+                            } else {
+                                break tmp21;
+                            }
+                            tmp22: {
+                                tmp32 = "a";
+                                tmp30 = __global[tmp32];
+                                tmp33 = "j";
+                                tmp31 = __global[tmp33];
+                                tmp28 = tmp30[tmp31];
+                                tmp36 = "a";
+                                tmp34 = __global[tmp36];
+                                tmp37 = "i";
+                                tmp35 = __global[tmp37];
+                                tmp29 = tmp34[tmp35];
+                                tmp27 = tmp28 === tmp29;
+                                if (tmp27) {
+                                    break tmp11;
+                                } else {
+                                    ;
+                                }
+                                tmp42 = "j";
+                                tmp40 = __global[tmp42];
+                                tmp41 = 1;
+                                tmp39 = tmp40 + tmp41;
+                                tmp38 = "j";
+                                __global[tmp38] = tmp39;
+                            }
+                        }
+                    }
+                    tmp46 = "a";
+                    tmp44 = __global[tmp46];
+                    tmp47 = "i";
+                    tmp45 = __global[tmp47];
+                    tmp43 = tmp44[tmp45];
+                    tmp52 = "s";
+                    tmp50 = __global[tmp52];
+                    tmp51 = tmp43;
+                    tmp49 = tmp50 + tmp51;
+                    tmp48 = "s";
+                    __global[tmp48] = tmp49;
+                }
+                tmp9 = "i";
+                tmp7 = __global[tmp9];
+                tmp8 = 1;
+                tmp6 = tmp7 + tmp8;
+                tmp5 = "i";
+                __global[tmp5] = tmp6;
+            }
+        }
+    }
+    tmp53: {
+        while (true) {
+            tmp54: {
+                tmp58 = "s";
+                tmp56 = __global[tmp58];
+                tmp57 = 10;
+                tmp55 = tmp56 > tmp57;
+                if (tmp55) {
+                    break tmp53;
+                } else {
+                    ;
+                }
+            }
+        }
+    }
+})(typeof global === 'undefined' ? this : global);
\ No newline at end of file
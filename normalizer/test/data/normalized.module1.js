@@ -0,0 +1,36 @@
+(function(__global) {
+    "use strict";
+    var x, f, d, b, ns, tmp0, tmp1, tmp2, tmp3, tmp4, tmp5, tmp6, tmp7, tmp8;
+    d = __import("m", "default");
+    b = __import("m", "a");
+    ns = __import("n", "*");
+    f = function() {
+        "use strict";
+        var tmp9, tmp10, tmp11, tmp12;
+        tmp10 = ns;
+        tmp11 = "g";
+        tmp12 = x;
+        tmp9 = tmp10[tmp11](tmp12);
+        return tmp9;
+    };
+    __export("f", f);
+    x = b;
+    __export("x", x);
+    __export("e", d);
+    tmp0 = __import("o", "*");
+    __export("*", tmp0);
+    tmp1 = 42;
+    __export("default", tmp1);
+    tmp4 = 0;
+    tmp3 = void tmp4;
+    tmp2 = "y";
+    tmp5 = tmp2 in __global;
+    if (tmp5) {
+        __global[tmp2] = tmp3;
+    } else {
+        tmp6 = "ReferenceError";
+        tmp7 = __global[tmp6];
+        tmp8 = new tmp7();
+        throw tmp8;
+    }
+})(typeof global === 'undefined' ? this : global);
\ No newline at end of file
@@ -0,0 +1,36 @@
+(function(__global) {
+    var tmp0, tmp1, tmp2, tmp3, tmp4, tmp5, tmp6, tmp7, tmp8, tmp19, tmp20, tmp21, tmp22;
+    tmp2 = 1;
+    tmp8 = "b";
+    tmp3 = __global[tmp8];
+    tmp4 = function() {
+        var tmp9, tmp10, tmp11, tmp12, tmp13, tmp14, tmp15, tmp16, tmp17, tmp18;
+        tmp16 = "Object";
+        tmp14 = __global[tmp16];
+        tmp15 = "getPrototypeOf";
+        tmp17 = tmp7;
+        tmp12 = tmp14[tmp15](tmp17);
+        tmp13 = "m";
+        tmp10 = tmp12[tmp13];
+        tmp11 = "call";
+        tmp18 = this;
+        tmp9 = tmp10[tmp11](tmp18);
+        return tmp9;
+    };
+    tmp19 = {
+        a: tmp2,
+        b: tmp3,
+        m: tmp4
+    };
+    tmp7 = tmp19;
+    tmp21 = "k";
+    tmp20 = __global[tmp21];
+    tmp5 = 2;
+    tmp19[tmp20] = tmp5;
+    tmp22 = "c";
+    tmp6 = 3;
+    tmp19[tmp22] = tmp6;
+    tmp1 = tmp19;
+    tmp0 = "o";
+    __global[tmp0] = tmp1;
+})(typeof global === 'undefined' ? this : global);
\ No newline at end of file
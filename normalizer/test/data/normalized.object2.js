@@ -0,0 +1,30 @@
+(function(__global) {
+    var tmp0, tmp1, tmp2, tmp3, tmp11, tmp12, tmp13, tmp14, tmp15, tmp16, tmp17, tmp18, tmp19, tmp20, tmp21, tmp22;
+    tmp2 = function() {
+        var tmp4, tmp5, tmp6, tmp7, tmp8, tmp9, tmp10;
+        tmp9 = "Object";
+        tmp7 = __global[tmp9];
+        tmp8 = "getPrototypeOf";
+        tmp10 = tmp3;
+        tmp5 = tmp7[tmp8](tmp10);
+        tmp6 = "x";
+        tmp4 = tmp5[tmp6];
+        return tmp4;
+    };
+    tmp1 = { m: tmp2 };
+    tmp3 = tmp1;
+    tmp0 = "o";
+    __global[tmp0] = tmp1;
+    tmp13 = "Object";
+    tmp11 = __global[tmp13];
+    tmp12 = "setPrototypeOf";
+    tmp16 = "o";
+    tmp14 = __global[tmp16];
+    tmp17 = 1;
+    tmp15 = { x: tmp17 };
+    tmp18 = tmp11[tmp12](tmp14, tmp15);
+    tmp21 = "o";
+    tmp19 = __global[tmp21];
+    tmp20 = "m";
+    tmp22 = tmp19[tmp20]();
+})(typeof global === 'undefined' ? this : global);
\ No newline at end of file
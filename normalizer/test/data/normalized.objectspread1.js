@@ -0,0 +1,61 @@
+(function(__global) {
+    var tmp0, tmp1, tmp2, tmp3, tmp4, tmp5, tmp6, tmp7, tmp8, tmp9, tmp10, tmp11, tmp12, tmp13, tmp14, tmp15, tmp16, tmp17, tmp18, tmp19, tmp20, tmp21, tmp22, tmp23, tmp24;
+    tmp24 = function(Object) {
+        var tmp25, tmp26, tmp27, tmp28, tmp29, tmp30, tmp31, tmp32, tmp33, tmp34, tmp35, tmp36, tmp38, tmp39, tmp40, tmp41, tmp42, tmp43, tmp44, tmp45, tmp46, tmp47;
+        tmp28 = {};
+        tmp31 = "Object";
+        tmp29 = __global[tmp31];
+        tmp30 = "assign";
+        tmp32 = tmp28;
+        tmp34 = "p";
+        tmp33 = __global[tmp34];
+        tmp35 = tmp29[tmp30](tmp32, tmp33);
+        tmp36 = "g";
+        tmp27 = function() {
+            var tmp37;
+            tmp37 = 1;
+            return tmp37;
+        };
+        tmp40 = "Object";
+        tmp38 = __global[tmp40];
+        tmp39 = "defineProperty";
+        tmp41 = tmp28;
+        tmp42 = tmp36;
+        tmp44 = tmp27;
+        tmp45 = true;
+        tmp46 = true;
+        tmp43 = {
+            get: tmp44,
+            enumerable: tmp45,
+            configurable: tmp46
+        };
+        tmp47 = tmp38[tmp39](tmp41, tmp42, tmp43);
+        tmp25 = tmp28;
+        return tmp25;
+    };
+    tmp23 = "f";
+    __global[tmp23] = tmp24;
+    tmp2 = 1;
+    tmp6 = { a: tmp2 };
+    tmp9 = "Object";
+    tmp7 = __global[tmp9];
+    tmp8 = "assign";
+    tmp10 = tmp6;
+    tmp12 = "p";
+    tmp11 = __global[tmp12];
+    tmp13 = tmp7[tmp8](tmp10, tmp11);
+    tmp15 = "k";
+    tmp14 = __global[tmp15];
+    tmp4 = 2;
+    tmp6[tmp14] = tmp4;
+    tmp18 = "Object";
+    tmp16 = __global[tmp18];
+    tmp17 = "assign";
+    tmp19 = tmp6;
+    tmp21 = "q";
+    tmp20 = __global[tmp21];
+    tmp22 = tmp16[tmp17](tmp19, tmp20);
+    tmp1 = tmp6;
+    tmp0 = "o";
+    __global[tmp0] = tmp1;
+})(typeof global === 'undefined' ? this : global);
\ No newline at end of file
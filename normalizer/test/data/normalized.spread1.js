@@ -0,0 +1,183 @@
+(function(__global) {
+    var tmp0, tmp1, tmp2, tmp3, tmp4, tmp5, tmp6, tmp7, tmp8, tmp9, tmp10, tmp11, tmp12, tmp13, tmp14, tmp15, tmp16, tmp17, tmp18, tmp21, tmp22, tmp23, tmp24, tmp25, tmp26, tmp27, tmp28, tmp29, tmp30, tmp31, tmp32, tmp33, tmp34, tmp35, tmp36, tmp37, tmp38, tmp39, tmp40, tmp41, tmp42, tmp43, tmp44, tmp45, tmp46, tmp47, tmp48, tmp49, tmp50, tmp51, tmp52, tmp53, tmp56, tmp57, tmp58, tmp59, tmp60, tmp61, tmp62, tmp63, tmp64, tmp65, tmp66, tmp67, tmp68, tmp69, tmp70, tmp71, tmp72, tmp73, tmp74, tmp75, tmp76, tmp77, tmp78, tmp79;
+    tmp79 = function(x, y) {
+        var rest, tmp80, tmp81, tmp82, tmp83, tmp84, tmp85, tmp86, tmp87, tmp88, tmp89, tmp90, tmp91, tmp92, tmp93, tmp94, tmp95, tmp96, tmp97, tmp98, tmp99, tmp100, tmp101, tmp102, tmp103, tmp104, tmp105, tmp106, tmp107, tmp108, tmp109, tmp110, tmp111, tmp112, tmp113, tmp114, tmp115, tmp118, tmp119, tmp120, tmp121, tmp122, tmp123, tmp124, tmp125, tmp126, tmp127, tmp128, tmp129, tmp130, tmp131, tmp132, tmp133, tmp134, tmp135, tmp136, tmp137, tmp138;
+        tmp81 = y;
+        tmp83 = 0;
+        tmp82 = void tmp83;
+        tmp80 = tmp81 === tmp82;
+        if (tmp80) {
+            y = x;
+        } else {
+            ;
+        }
+        tmp84 = arguments;
+        tmp92 = "Array";
+        tmp90 = __global[tmp92];
+        tmp91 = "prototype";
+        tmp88 = tmp90[tmp91];
+        tmp89 = "slice";
+        tmp86 = tmp88[tmp89];
+        tmp87 = "call";
+        tmp93 = tmp84;
+        tmp94 = 2;
+        tmp85 = tmp86[tmp87](tmp93, tmp94);
+        rest = tmp85;
+        tmp99 = "o";
+        tmp98 = __global[tmp99];
+        tmp100 = tmp98;
+        tmp101 = "m";
+        tmp96 = tmp100[tmp101];
+        tmp103 = x;
+        tmp102 = [tmp103];
+        tmp104 = rest;
+        tmp109 = tmp104;
+        tmp113 = "Symbol";
+        tmp111 = __global[tmp113];
+        tmp112 = "iterator";
+        tmp110 = tmp111[tmp112];
+        tmp106 = tmp109[tmp110]();
+        tmp107 = false;
+        tmp114 = [];
+        tmp118 = tmp107;
+        tmp115 = !tmp118;
+        tmp116: {
+            while (tmp115) {
+                tmp117: {
+                    tmp119 = tmp106;
+                    tmp120 = "next";
+                    tmp108 = tmp119[tmp120]();
+                    tmp121 = tmp108;
+                    tmp122 = "done";
+                    tmp107 = tmp121[tmp122];
+                    tmp124 = tmp107;
+                    tmp123 = !tmp124;
+                    if (tmp123) {
+                        tmp125 = tmp114;
+                        tmp126 = "push";
+                        tmp128 = tmp108;
+                        tmp129 = "value";
+                        tmp127 = tmp128[tmp129];
+                        tmp130 = tmp125[tmp126](tmp127);
+                    } else {
+                        ;
+                    }
+                }
+                tmp131 = tmp107;
+                tmp115 = !tmp131;
+            }
+        }
+        tmp105 = tmp114;
+        tmp132 = tmp102;
+        tmp133 = "concat";
+        tmp134 = tmp105;
+        tmp97 = tmp132[tmp133](tmp134);
+        tmp135 = tmp96;
+        tmp136 = "apply";
+        tmp137 = tmp98;
+        tmp138 = tmp97;
+        tmp95 = tmp135[tmp136](tmp137, tmp138);
+        return tmp95;
+    };
+    tmp78 = "f";
+    __global[tmp78] = tmp79;
+    tmp3 = 1;
+    tmp2 = [tmp3];
+    tmp7 = "f";
+    tmp6 = __global[tmp7];
+    tmp8 = 2;
+    tmp4 = tmp6(tmp8);
+    tmp12 = tmp4;
+    tmp16 = "Symbol";
+    tmp14 = __global[tmp16];
+    tmp15 = "iterator";
+    tmp13 = tmp14[tmp15];
+    tmp9 = tmp12[tmp13]();
+    tmp10 = false;
+    tmp17 = [];
+    tmp21 = tmp10;
+    tmp18 = !tmp21;
+    tmp19: {
+        while (tmp18) {
+            tmp20: {
+                tmp22 = tmp9;
+                tmp23 = "next";
+                tmp11 = tmp22[tmp23]();
+                tmp24 = tmp11;
+                tmp25 = "done";
+                tmp10 = tmp24[tmp25];
+                tmp27 = tmp10;
+                tmp26 = !tmp27;
+                if (tmp26) {
+                    tmp28 = tmp17;
+                    tmp29 = "push";
+                    tmp31 = tmp11;
+                    tmp32 = "value";
+                    tmp30 = tmp31[tmp32];
+                    tmp33 = tmp28[tmp29](tmp30);
+                } else {
+                    ;
+                }
+            }
+            tmp34 = tmp10;
+            tmp18 = !tmp34;
+        }
+    }
+    tmp5 = tmp17;
+    tmp35 = tmp2;
+    tmp36 = "concat";
+    tmp37 = tmp5;
+    tmp1 = tmp35[tmp36](tmp37);
+    tmp0 = "a";
+    __global[tmp0] = tmp1;
+    tmp40 = "F";
+    tmp38 = __global[tmp40];
+    tmp43 = "a";
+    tmp41 = __global[tmp43];
+    tmp47 = tmp41;
+    tmp51 = "Symbol";
+    tmp49 = __global[tmp51];
+    tmp50 = "iterator";
+    tmp48 = tmp49[tmp50];
+    tmp44 = tmp47[tmp48]();
+    tmp45 = false;
+    tmp52 = [];
+    tmp56 = tmp45;
+    tmp53 = !tmp56;
+    tmp54: {
+        while (tmp53) {
+            tmp55: {
+                tmp57 = tmp44;
+                tmp58 = "next";
+                tmp46 = tmp57[tmp58]();
+                tmp59 = tmp46;
+                tmp60 = "done";
+                tmp45 = tmp59[tmp60];
+                tmp62 = tmp45;
+                tmp61 = !tmp62;
+                if (tmp61) {
+                    tmp63 = tmp52;
+                    tmp64 = "push";
+                    tmp66 = tmp46;
+                    tmp67 = "value";
+                    tmp65 = tmp66[tmp67];
+                    tmp68 = tmp63[tmp64](tmp65);
+                } else {
+                    ;
+                }
+            }
+            tmp69 = tmp45;
+            tmp53 = !tmp69;
+        }
+    }
+    tmp42 = tmp52;
+    tmp70 = tmp42;
+    tmp71 = "concat";
+    tmp39 = tmp70[tmp71]();
+    tmp75 = "Reflect";
+    tmp73 = __global[tmp75];
+    tmp74 = "construct";
+    tmp76 = tmp38;
+    tmp77 = tmp39;
+    tmp72 = tmp73[tmp74](tmp76, tmp77);
+})(typeof global === 'undefined' ? this : global);
\ No newline at end of file
@@ -0,0 +1,73 @@
+(function(__global) {
+    var tmp0, tmp1;
+    tmp1 = function(Array, Reflect) {
+        var rest, tmp2, tmp3, tmp4, tmp5, tmp6, tmp7, tmp8, tmp9, tmp10, tmp11, tmp12, tmp13, tmp14, tmp15, tmp16, tmp17, tmp18, tmp19, tmp20, tmp21, tmp22, tmp23, tmp24, tmp25, tmp26, tmp27, tmp28, tmp31, tmp32, tmp33, tmp34, tmp35, tmp36, tmp37, tmp38, tmp39, tmp40, tmp41, tmp42, tmp43, tmp44, tmp45, tmp46, tmp47, tmp48, tmp49, tmp50, tmp51, tmp52, tmp53, tmp54;
+        tmp2 = arguments;
+        tmp10 = "Array";
+        tmp8 = __global[tmp10];
+        tmp9 = "prototype";
+        tmp6 = tmp8[tmp9];
+        tmp7 = "slice";
+        tmp4 = tmp6[tmp7];
+        tmp5 = "call";
+        tmp11 = tmp2;
+        tmp12 = 2;
+        tmp3 = tmp4[tmp5](tmp11, tmp12);
+        rest = tmp3;
+        tmp16 = "F";
+        tmp14 = __global[tmp16];
+        tmp17 = rest;
+        tmp22 = tmp17;
+        tmp26 = "Symbol";
+        tmp24 = __global[tmp26];
+        tmp25 = "iterator";
+        tmp23 = tmp24[tmp25];
+        tmp19 = tmp22[tmp23]();
+        tmp20 = false;
+        tmp27 = [];
+        tmp31 = tmp20;
+        tmp28 = !tmp31;
+        tmp29: {
+            while (tmp28) {
+                tmp30: {
+                    tmp32 = tmp19;
+                    tmp33 = "next";
+                    tmp21 = tmp32[tmp33]();
+                    tmp34 = tmp21;
+                    tmp35 = "done";
+                    tmp20 = tmp34[tmp35];
+                    tmp37 = tmp20;
+                    tmp36 = !tmp37;
+                    if (tmp36) {
+                        tmp38 = tmp27;
+                        tmp39 = "push";
+                        tmp41 = tmp21;
+                        tmp42 = "value";
+                        tmp40 = tmp41[tmp42];
+                        tmp43 = tmp38[tmp39](tmp40);
+                    } else {
+                        ;
+                    }
+                }
+                tmp44 = tmp20;
+                tmp28 = !tmp44;
+            }
+        }
+        tmp18 = tmp27;
+        tmp46 = 1;
+        tmp45 = [tmp46];
+        tmp47 = tmp18;
+        tmp48 = "concat";
+        tmp49 = tmp45;
+        tmp15 = tmp47[tmp48](tmp49);
+        tmp52 = "Reflect";
+        tmp50 = __global[tmp52];
+        tmp51 = "construct";
+        tmp53 = tmp14;
+        tmp54 = tmp15;
+        tmp13 = tmp50[tmp51](tmp53, tmp54);
+        return tmp13;
+    };
+    tmp0 = "f";
+    __global[tmp0] = tmp1;
+})(typeof global === 'undefined' ? this : global);
\ No newline at end of file
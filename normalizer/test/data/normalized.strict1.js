@@ -0,0 +1,31 @@
+(function(__global) {
+    var tmp0, tmp1, tmp9, tmp10;
+    tmp1 = function() {
+        "use strict";
+        var tmp2, tmp3, tmp4, tmp5, tmp6, tmp7, tmp8;
+        tmp3 = 1;
+        tmp2 = "x";
+        tmp4 = tmp2 in __global;
+        if (tmp4) {
+            __global[tmp2] = tmp3;
+        } else {
+            tmp5 = "ReferenceError";
+            tmp6 = __global[tmp5];
+            tmp7 = new tmp6();
+            throw tmp7;
+        }
+        tmp8 = this;
+        return tmp8;
+    };
+    tmp0 = "f";
+    __global[tmp0] = tmp1;
+    tmp10 = function() {
+        var tmp11, tmp12;
+        tmp12 = 2;
+        tmp11 = "y";
+        __global[tmp11] = tmp12;
+        return;
+    };
+    tmp9 = "g";
+    __global[tmp9] = tmp10;
+})(typeof global === 'undefined' ? this : global);
\ No newline at end of file
@@ -0,0 +1,26 @@
+(function(__global) {
+    "use strict";
+    var tmp0, tmp1, tmp2, tmp3, tmp4, tmp5, tmp6, tmp7, tmp8, tmp9;
+    tmp9 = function() {
+        "use strict";
+        var tmp10, tmp11;
+        tmp11 = this;
+        tmp10 = typeof tmp11;
+        return tmp10;
+    };
+    tmp8 = "f";
+    __global[tmp8] = tmp9;
+    tmp3 = "f";
+    tmp2 = __global[tmp3];
+    tmp1 = tmp2();
+    tmp0 = "x";
+    tmp4 = tmp0 in __global;
+    if (tmp4) {
+        __global[tmp0] = tmp1;
+    } else {
+        tmp5 = "ReferenceError";
+        tmp6 = __global[tmp5];
+        tmp7 = new tmp6();
+        throw tmp7;
+    }
+})(typeof global === 'undefined' ? this : global);
\ No newline at end of file
@@ -0,0 +1,47 @@
+(function(__global) {
+    var tmp0, tmp2, tmp7, tmp8, tmp9, tmp10, tmp11, tmp12, tmp13, tmp14, tmp15, tmp16, tmp17, tmp18, tmp19, tmp20, tmp21, tmp22, tmp23, tmp24;
+    tmp2 = "x";
+    tmp0 = __global[tmp2];
+    tmp1: {
+        tmp6: {
+            tmp5: {
+                tmp4: {
+                    tmp3: {
+                        tmp7 = 1;
+                        tmp8 = tmp0 === tmp7;
+                        if (tmp8) {
+                            break tmp3;
+                        } else {
+                            tmp9 = 2;
+                            tmp10 = tmp0 === tmp9;
+                            if (tmp10) {
+                                break tmp5;
+                            } else {
+                                tmp11 = 3;
+                                tmp12 = tmp0 === tmp11;
+                                if (tmp12) {
+                                    break tmp6;
+                                } else {
+                                    break tmp4;
+                                }
+                            }
+                        }
+                    }
+                    tmp14 = "f";
+                    tmp13 = __global[tmp14];
+                    tmp15 = tmp13();
+                }
+                tmp17 = "g";
+                tmp16 = __global[tmp17];
+                tmp18 = tmp16();
+            }
+            tmp20 = "h";
+            tmp19 = __global[tmp20];
+            tmp21 = tmp19();
+            break tmp1;
+        }
+        tmp23 = "k";
+        tmp22 = __global[tmp23];
+        tmp24 = tmp22();
+    }
+})(typeof global === 'undefined' ? this : global);
\ No newline at end of file
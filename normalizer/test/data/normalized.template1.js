@@ -0,0 +1,91 @@
+(function(__global) {
+    var tmp0, tmp1, tmp2, tmp3, tmp4, tmp5, tmp6, tmp7, tmp8, tmp9, tmp10, tmp11, tmp12, tmp13, tmp14, tmp15, tmp16, tmp17, tmp18, tmp19, tmp20, tmp21, tmp22, tmp23, tmp24, tmp25, tmp26, tmp27, tmp28, tmp29, tmp30, tmp31, tmp32, tmp33, tmp34, tmp35, tmp36, tmp37, tmp39, tmp44, tmp45, tmp46, tmp47, tmp48, tmp49, tmp50, tmp51, tmp52, tmp53, tmp54, tmp55, tmp56, tmp57, tmp58, tmp59, tmp60, tmp61, tmp62, tmp63, tmp64;
+    tmp44 = "<b>";
+    tmp45 = "</b>";
+    tmp39 = [
+        tmp44,
+        tmp45
+    ];
+    tmp48 = "Object";
+    tmp46 = __global[tmp48];
+    tmp47 = "defineProperty";
+    tmp49 = tmp39;
+    tmp50 = "raw";
+    tmp55 = "Object";
+    tmp53 = __global[tmp55];
+    tmp54 = "freeze";
+    tmp57 = "<b>";
+    tmp58 = "</b>";
+    tmp56 = [
+        tmp57,
+        tmp58
+    ];
+    tmp52 = tmp53[tmp54](tmp56);
+    tmp51 = { value: tmp52 };
+    tmp59 = tmp46[tmp47](tmp49, tmp50, tmp51);
+    tmp62 = "Object";
+    tmp60 = __global[tmp62];
+    tmp61 = "freeze";
+    tmp63 = tmp39;
+    tmp64 = tmp60[tmp61](tmp63);
+    tmp37 = function(x) {
+        var tmp38, tmp40, tmp41, tmp42, tmp43;
+        tmp41 = "html";
+        tmp40 = __global[tmp41];
+        tmp42 = tmp39;
+        tmp43 = x;
+        tmp38 = tmp40(tmp42, tmp43);
+        return tmp38;
+    };
+    tmp36 = "f";
+    __global[tmp36] = tmp37;
+    tmp4 = "f";
+    tmp3 = __global[tmp4];
+    tmp5 = 1;
+    tmp2 = tmp3(tmp5);
+    tmp9 = tmp2;
+    tmp7 = typeof tmp9;
+    tmp8 = "symbol";
+    tmp6 = tmp7 === tmp8;
+    if (tmp6) {
+        tmp12 = "TypeError";
+        tmp11 = __global[tmp12];
+        tmp10 = new tmp11();
+        throw tmp10;
+    } else {
+        ;
+    }
+    tmp14 = "String";
+    tmp13 = __global[tmp14];
+    tmp15 = tmp2;
+    tmp2 = tmp13(tmp15);
+    tmp18 = "f";
+    tmp17 = __global[tmp18];
+    tmp19 = 2;
+    tmp16 = tmp17(tmp19);
+    tmp23 = tmp16;
+    tmp21 = typeof tmp23;
+    tmp22 = "symbol";
+    tmp20 = tmp21 === tmp22;
+    if (tmp20) {
+        tmp26 = "TypeError";
+        tmp25 = __global[tmp26];
+        tmp24 = new tmp25();
+        throw tmp24;
+    } else {
+        ;
+    }
+    tmp28 = "String";
+    tmp27 = __global[tmp28];
+    tmp29 = tmp16;
+    tmp16 = tmp27(tmp29);
+    tmp34 = tmp2;
+    tmp35 = " and ";
+    tmp32 = tmp34 + tmp35;
+    tmp33 = tmp16;
+    tmp30 = tmp32 + tmp33;
+    tmp31 = "!";
+    tmp1 = tmp30 + tmp31;
+    tmp0 = "s";
+    __global[tmp0] = tmp1;
+})(typeof global === 'undefined' ? this : global);
\ No newline at end of file
@@ -0,0 +1,65 @@
+(function(__global) {
+    var tmp0, tmp1, tmp5, tmp25, tmp26, tmp27, tmp28, tmp29, tmp30, tmp31, tmp32, tmp33, tmp34, tmp35, tmp36, tmp37, tmp38, tmp39, tmp40, tmp41, tmp42, tmp43, tmp44, tmp45;
+    tmp25 = "a";
+    tmp26 = "b";
+    tmp5 = [
+        tmp25,
+        tmp26
+    ];
+    tmp29 = "Object";
+    tmp27 = __global[tmp29];
+    tmp28 = "defineProperty";
+    tmp30 = tmp5;
+    tmp31 = "raw";
+    tmp36 = "Object";
+    tmp34 = __global[tmp36];
+    tmp35 = "freeze";
+    tmp38 = "a";
+    tmp39 = "b";
+    tmp37 = [
+        tmp38,
+        tmp39
+    ];
+    tmp33 = tmp34[tmp35](tmp37);
+    tmp32 = { value: tmp33 };
+    tmp40 = tmp27[tmp28](tmp30, tmp31, tmp32);
+    tmp43 = "Object";
+    tmp41 = __global[tmp43];
+    tmp42 = "freeze";
+    tmp44 = tmp5;
+    tmp45 = tmp41[tmp42](tmp44);
+    tmp1 = function(String, TypeError, Object) {
+        var tmp2, tmp3, tmp4, tmp6, tmp7, tmp8, tmp9, tmp10, tmp11, tmp12, tmp13, tmp14, tmp15, tmp16, tmp17, tmp18, tmp19, tmp20, tmp21, tmp22, tmp23, tmp24;
+        tmp7 = "tag";
+        tmp6 = __global[tmp7];
+        tmp8 = tmp5;
+        tmp10 = "x";
+        tmp9 = __global[tmp10];
+        tmp3 = tmp6(tmp8, tmp9);
+        tmp12 = "y";
+        tmp11 = __global[tmp12];
+        tmp16 = tmp11;
+        tmp14 = typeof tmp16;
+        tmp15 = "symbol";
+        tmp13 = tmp14 === tmp15;
+        if (tmp13) {
+            tmp19 = "TypeError";
+            tmp18 = __global[tmp19];
+            tmp17 = new tmp18();
+            throw tmp17;
+        } else {
+            ;
+        }
+        tmp21 = "String";
+        tmp20 = __global[tmp21];
+        tmp22 = tmp11;
+        tmp11 = tmp20(tmp22);
+        tmp23 = "c";
+        tmp24 = tmp11;
+        tmp4 = tmp23 + tmp24;
+        tmp2 = tmp3 + tmp4;
+        return tmp2;
+    };
+    tmp0 = "f";
+    __global[tmp0] = tmp1;
+})(typeof global === 'undefined' ? this : global);
\ No newline at end of file
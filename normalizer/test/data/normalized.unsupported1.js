@@ -0,0 +1,35 @@
+(function(__global) {
+    var tmp0, tmp1, tmp2, tmp3, tmp7, tmp8, tmp9, tmp10, tmp11, tmp12, tmp13, tmp14, tmp19, tmp20;
+    tmp2 = function() {
+        var x, tmp4, tmp5, tmp6;
+        tmp4 = __unsupported("super call outside of derived constructor");
+        tmp5 = 1;
+        x = tmp4 + tmp5;
+        tmp6 = x;
+        return tmp6;
+    };
+    tmp1 = { m: tmp2 };
+    tmp3 = tmp1;
+    tmp0 = "o";
+    __global[tmp0] = tmp1;
+    tmp12 = "Object";
+    tmp10 = __global[tmp12];
+    tmp11 = "prototype";
+    tmp9 = tmp10[tmp11];
+    tmp13 = function C() {
+        "use strict";
+        var tmp15, tmp16, tmp17, tmp18;
+        tmp15 = __unsupported("super call outside of derived constructor");
+        tmp16 = this;
+        tmp17 = "y";
+        tmp18 = 23;
+        tmp16[tmp17] = tmp18;
+        return;
+    };
+    tmp19 = tmp13;
+    tmp20 = "prototype";
+    tmp14 = tmp19[tmp20];
+    tmp8 = tmp13;
+    tmp7 = "C";
+    __global[tmp7] = tmp8;
+})(typeof global === 'undefined' ? this : global);
\ No newline at end of file
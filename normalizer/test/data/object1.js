@@ -0,0 +1,9 @@
+var o = {
+  a: 1,
+  b,
+  m() {
+    return super.m();
+  },
+  [k]: 2,
+  c: 3
+};
@@ -0,0 +1,7 @@
+var o = {
+  m() {
+    return super.x;
+  }
+};
+Object.setPrototypeOf(o, { x: 1 });
+o.m();
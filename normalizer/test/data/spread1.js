@@ -0,0 +1,5 @@
+function f(x, y = x, ...rest) {
+  return o.m(x, ...rest);
+}
+var a = [1, ...f(2)];
+new F(...a);
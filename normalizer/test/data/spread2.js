@@ -0,0 +1,3 @@
+function f(Array, Reflect, ...rest) {
+  return new F(...rest, 1);
+}
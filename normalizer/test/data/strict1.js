@@ -0,0 +1,8 @@
+function f() {
+  "use strict";
+  x = 1;
+  return this;
+}
+function g() {
+  y = 2;
+}
@@ -0,0 +1,5 @@
+"use strict";
+function f() {
+  return typeof this;
+}
+x = f();
@@ -0,0 +1,2 @@
+// {"switch_blocks":true}
+switch(x) { case 1: f(); default: g(); case 2: h(); break; case 3: k(); }
@@ -0,0 +1,4 @@
+function f(x) {
+  return html`<b>${x}</b>`;
+}
+var s = `${f(1)} and ${f(2)}!`;
@@ -0,0 +1,3 @@
+function f(String, TypeError, Object) {
+  return tag`a${x}b` + `c${y}`;
+}
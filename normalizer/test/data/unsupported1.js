@@ -0,0 +1,13 @@
+// {"recover_unsupported":true}
+var o = {
+  m() {
+    var x = super() + 1;
+    return x;
+  }
+};
+class C {
+  constructor() {
+    super();
+    this.y = 23;
+  }
+}
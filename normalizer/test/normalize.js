@@ -11,13 +11,32 @@
 /**
  * Simple command line interface to the normalizer: normalizes and pretty-prints
  * code in file given as first argument.
+ *
+ * If the file name is preceded by option '--source-map FILE', a source map for the
+ * pretty-printed code is written to FILE.
  */
 var normalizer = require("../lib/normalizer"),
+    sourcemap = require("../lib/sourcemap"),
     esprima = require("esprima"),
     escodegen = require("escodegen"),
+    path = require("path"),
     fs = require("fs");
 
-var src = fs.readFileSync(process.argv[2], 'utf-8');
-var ast = esprima.parse(src);
+var args = process.argv.slice(2), map_file = null;
+if(args[0] === '--source-map') {
+  map_file = args[1];
+  args = args.slice(2);
+}
+
+var src = fs.readFileSync(args[0], 'utf-8');
+var ast = esprima.parse(src, map_file ? { loc: true, range: true, source: args[0] } : {});
 var normalized = normalizer.normalize(ast, { pp: escodegen.generate });
-console.log(escodegen.generate(normalized, { comment: true }));
+var code = escodegen.generate(normalized, { comment: true });
+if(map_file) {
+  var sourceContents = {};
+  sourceContents[args[0]] = src;
+  var map = sourcemap.generateSourceMap(normalized, code, { sourceContents: sourceContents });
+  fs.writeFileSync(map_file, JSON.stringify(map));
+  code += "\n//# sourceMappingURL=" + path.basename(map_file);
+}
+console.log(code);
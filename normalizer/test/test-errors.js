@@ -0,0 +1,62 @@
+/*******************************************************************************
+ * Copyright (c) 2012 IBM Corporation.
+ * All rights reserved. This program and the accompanying materials
+ * are made available under the terms of the Eclipse Public License v1.0
+ * which accompanies this distribution, and is available at
+ * http://www.eclipse.org/legal/epl-v10.html
+ *
+ * Contributors:
+ *     IBM Corporation - initial API and implementation
+ *******************************************************************************/
+
+/**
+ * Unit tests for normalization errors and recovery from them.
+ */
+var normalizer = require("../lib/normalizer"),
+    esprima = require("esprima"),
+    escodegen = require("escodegen");
+
+var src = "var o = {\n"
+        + "  m() {\n"
+        + "    return super();\n"
+        + "  }\n"
+        + "};";
+
+exports.testNormalizationError = function(test) {
+  var prog = esprima.parse(src, { loc: true, range: true, source: "a.js" }),
+      call = prog.body[0].declarations[0].init.properties[0].value.body.body[0].argument;
+  test.throws(function() { normalizer.normalize(prog); }, function(e) {
+    return e instanceof normalizer.NormalizationError && e instanceof Error &&
+           e.code === 'INVALID_SUPER' && e.node === call && e.pos.format() === "a.js:3:12";
+  });
+  test.done();
+};
+
+exports.testRecovery = function(test) {
+  var normalized = normalizer.normalize(esprima.parse(src), { recover_unsupported: true });
+  test.ok(/tmp\d+ = __unsupported\('super call outside of derived constructor'\);/.test(escodegen.generate(normalized)));
+  test.done();
+};
+
+exports.testShadowedGlobal = function(test) {
+  // the ReferenceError for a read in the temporal dead zone cannot be thrown if ReferenceError is shadowed
+  var prog = esprima.parse("function f(ReferenceError) {\n  {\n    x;\n    let x;\n  }\n}", { loc: true, range: true, source: "a.js" }),
+      read = prog.body[0].body.body[0].body[0].expression;
+  test.throws(function() { normalizer.normalize(prog); }, function(e) {
+    return e.code === 'SHADOWED_GLOBAL' && e.node === read && e.pos.format() === "a.js:3:5";
+  });
+  test.done();
+};
+
+exports.testRecoveryState = function(test) {
+  // a block-scoped variable whose declaration could not be normalized is not considered to be in its temporal dead zone afterwards
+  var prog = esprima.parse("function f() {\n  let [a, b] = c;\n  return a;\n}");
+  prog.body[0].body.body[0].declarations[0].id.elements[1] = { type: 'Literal', value: 1 };
+  var code = escodegen.generate(normalizer.normalize(prog, { recover_unsupported: true }));
+  test.ok(/__unsupported\('unexpected pattern of type Literal'\)/.test(code));
+  test.ok(!/ReferenceError/.test(code));
+  test.done();
+};
+
+var reporter = require('nodeunit').reporters['default'];
+reporter.run({"test-errors" : module.exports});
@@ -17,6 +17,11 @@
  * The original file can optionally start with a '//' comment line containing
  * a JSON encoding of the option object to pass to the normalizer (see the
  * unify_ret*.js files for examples).
+ *
+ * For syntax that Esprima cannot parse, the original program can instead be
+ * given as 'data/foo.json', which holds an object with the ESTree AST of the
+ * program in property 'ast', its source code for reference in property 'source',
+ * and optionally an option object in property 'options'.
  */
 var normalizer = require("../lib/normalizer"),
     esprima = require("esprima"),
@@ -25,12 +30,17 @@ var normalizer = require("../lib/normalizer"),
 
 function runtest(test, input_file, expected_file) {
   var input_src = fs.readFileSync(input_file, 'utf-8');
-  var input = esprima.parse(input_src),
-      expected = esprima.parse(fs.readFileSync(expected_file, 'utf-8'));
-  
-  var options = null;
-  if(input_src.substring(0, 2) === '//')
-    options = JSON.parse(input_src.substring(2, input_src.indexOf('\n')));
+  var options = null, input;
+  if(/\.json$/.test(input_file)) {
+    var fixture = JSON.parse(input_src);
+    options = fixture.options || null;
+    input = fixture.ast;
+  } else {
+    if(input_src.substring(0, 2) === '//')
+      options = JSON.parse(input_src.substring(2, input_src.indexOf('\n')));
+    input = esprima.parse(input_src, { sourceType: options && options.sourceType || 'script' });
+  }
+  var expected = esprima.parse(fs.readFileSync(expected_file, 'utf-8'));
   
   var normalized = normalizer.normalize(input, options);
   var expected_str = escodegen.generate(expected),
@@ -45,9 +55,9 @@ function runtest(test, input_file, expected_file) {
 
 var DATA_DIR = "data/";
 fs.readdirSync(DATA_DIR).forEach(function(file) {
-  if(/\.js$/.test(file) && !/^normalized\./.test(file))
+  if(/\.js(on)?$/.test(file) && !/^normalized\./.test(file))
     exports[file] = function(test) {
-      runtest(test, DATA_DIR + file, DATA_DIR + "normalized." + file);
+      runtest(test, DATA_DIR + file, DATA_DIR + "normalized." + file.replace(/\.json$/, '.js'));
     };
 });
 
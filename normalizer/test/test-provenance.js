@@ -0,0 +1,120 @@
+/*******************************************************************************
+ * Copyright (c) 2012 IBM Corporation.
+ * All rights reserved. This program and the accompanying materials
+ * are made available under the terms of the Eclipse Public License v1.0
+ * which accompanies this distribution, and is available at
+ * http://www.eclipse.org/legal/epl-v10.html
+ *
+ * Contributors:
+ *     IBM Corporation - initial API and implementation
+ *******************************************************************************/
+
+/**
+ * Unit tests for provenance links and the reverse index of derived statements.
+ */
+var normalizer = require("../lib/normalizer"),
+    ast = require("../../common/lib/ast"),
+    esprima = require("esprima"),
+    escodegen = require("escodegen");
+
+// describe the given normalized statements by their code and the type and role of their original node
+function describe(stmts) {
+  return stmts.map(function(stmt) {
+    var provenance = ast.getAttribute(stmt, 'provenance');
+    return escodegen.generate(stmt).split('\n')[0] + " <- " + provenance.node.type + " " + provenance.role;
+  });
+}
+
+exports.testProvenance = function(test) {
+  var prog = esprima.parse("if(a.b)\n  f(x, 1);"),
+      normalized = normalizer.normalize(prog);
+  var if_stmt = prog.body[0], call = if_stmt.consequent.expression;
+
+  test.deepEqual(describe(ast.getAttribute(call, 'derived')),
+                 ["tmp5 = 'f'; <- Identifier callee",
+                  "tmp4 = __global[tmp5]; <- Identifier callee",
+                  "tmp8 = 'x'; <- Identifier arguments",
+                  "tmp6 = __global[tmp8]; <- Identifier arguments",
+                  "tmp7 = 1; <- Literal arguments",
+                  "tmp9 = tmp4(tmp6, tmp7); <- CallExpression expression"]);
+
+  // the normalized 'if' is derived from the original one, and its condition from the member expression
+  var derived = ast.getAttribute(if_stmt, 'derived');
+  test.deepEqual(describe(derived.slice(0, 5)),
+                 ["tmp3 = 'a'; <- Identifier object",
+                  "tmp1 = __global[tmp3]; <- Identifier object",
+                  "tmp2 = 'b'; <- Identifier property",
+                  "tmp0 = tmp1[tmp2]; <- MemberExpression test",
+                  "if (tmp0) { <- IfStatement body"]);
+  test.equal(ast.getAttribute(derived[3], 'provenance').node, if_stmt.test);
+  test.equal(ast.getAttribute(derived[4], 'provenance').node, if_stmt);
+  test.equal(ast.getAttribute(derived[4].test, 'provenance').node, if_stmt);
+
+  // the root of the original program is recorded as the parent of its statements; in addition to the statements
+  // derived from them, the wrapper function call and the declaration of temporaries are derived from the program
+  test.equal(ast.getAttribute(if_stmt, 'provenance').parent, prog);
+  test.equal(ast.getAttribute(prog, 'derived').length, derived.length + 2);
+  test.equal(ast.getAttribute(normalized.body[0], 'provenance').node, prog);
+  test.ok(!ast.getAttribute(normalized.body[0], 'pos'));
+  test.done();
+};
+
+// checks that every statement of the normalized program is recorded in attribute 'derived' of the original node it stems
+// from and of the program itself, so that no normalized code is left without a link to the original program
+function checkComplete(test, src) {
+  var prog = esprima.parse(src),
+      normalized = normalizer.normalize(prog),
+      prog_derived = ast.getAttribute(prog, 'derived'),
+      missing = [];
+  (function check(nd) {
+    if(Array.isArray(nd))
+      return nd.forEach(check);
+    if(!nd || typeof nd.type !== 'string')
+      return;
+    if(/Statement$/.test(nd.type) && nd.type !== 'BlockStatement' || nd.type === 'VariableDeclaration') {
+      var provenance = ast.getAttribute(nd, 'provenance'),
+          derived = provenance && ast.getAttribute(provenance.node, 'derived');
+      if(!derived || derived.indexOf(nd) === -1 || prog_derived.indexOf(nd) === -1)
+        missing.push(escodegen.generate(nd).split('\n')[0]);
+    }
+    ast.forEachChild(nd, check);
+  })(normalized);
+  test.deepEqual(missing, [], src);
+}
+
+exports.testDesugaredProvenance = function(test) {
+  // nodes created by desugaring are linked to the original node they stem from, which is the loop or one of its descendants
+  var prog = esprima.parse("for(var x of xs) ;"),
+      normalized = normalizer.normalize(prog),
+      loop = prog.body[0];
+  var derived = ast.getAttribute(loop, 'derived');
+  test.ok(derived.length > 0);
+  derived.forEach(function(stmt) {
+    var orig = ast.getAttribute(stmt, 'provenance').node;
+    while(orig && orig !== loop)
+      orig = ast.getAttribute(orig, 'provenance').parent;
+    test.equal(orig, loop);
+  });
+
+  // all desugared code is indexed
+  checkComplete(test, "for(var x of xs) ;");
+  checkComplete(test, "class A extends B { m() { return super.m(); } }");
+  checkComplete(test, "var { a, b: [c, ...d] = e } = f; [g.h = 1] = i;");
+  checkComplete(test, "for(let i = 0; i < n; ++i) fs.push(() => i);");
+  checkComplete(test, "f(...a, `x${y}`, [...b]); new C(...a); tag`t`;");
+  checkComplete(test, "function* g(x = 1, ...r) { yield* r; } switch(x) { case 1: let y = 2; case 2: y; }");
+  test.done();
+};
+
+exports.testSerialization = function(test) {
+  // provenance attributes of the original AST are not enumerable, so both ASTs can still be serialized
+  var prog = esprima.parse("for(var x of xs) f(x);"),
+      json = JSON.stringify(prog),
+      normalized = normalizer.normalize(prog);
+  test.equal(JSON.stringify(prog), json);
+  test.doesNotThrow(function() { JSON.stringify(normalized); });
+  test.done();
+};
+
+var reporter = require('nodeunit').reporters['default'];
+reporter.run({"test-provenance" : module.exports});
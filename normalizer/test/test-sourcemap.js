@@ -0,0 +1,47 @@
+/*******************************************************************************
+ * Copyright (c) 2012 IBM Corporation.
+ * All rights reserved. This program and the accompanying materials
+ * are made available under the terms of the Eclipse Public License v1.0
+ * which accompanies this distribution, and is available at
+ * http://www.eclipse.org/legal/epl-v10.html
+ *
+ * Contributors:
+ *     IBM Corporation - initial API and implementation
+ *******************************************************************************/
+
+/**
+ * Unit tests for source map generation.
+ */
+var normalizer = require("../lib/normalizer"),
+    sourcemap = require("../lib/sourcemap"),
+    esprima = require("esprima"),
+    escodegen = require("escodegen");
+
+exports.testVLQ = function(test) {
+  test.deepEqual([0, 1, -1, 15, 16, -16, 1000].map(sourcemap.encodeVLQ),
+                 ['A', 'C', 'D', 'e', 'gB', 'hB', 'w+B']);
+  test.done();
+};
+
+exports.testSourceMap = function(test) {
+  var src = "var x;\n"
+          + "x = f(\n"
+          + "  42);\n";
+  var normalized = normalizer.normalize(esprima.parse(src, { loc: true, range: true, source: "in.js" }));
+  var code = escodegen.generate(normalized);
+  var map = sourcemap.generateSourceMap(normalized, code, { file: "out.js", sourceContents: { "in.js": src } });
+  // the first two lines of the generated code (function header and temporary declarations) are not mapped;
+  // 'tmp4 = 42' on line five is mapped to line three, column two of the original code
+  test.deepEqual(map, {
+    version: 3,
+    file: "out.js",
+    sources: ["in.js"],
+    sourcesContent: [src],
+    names: [],
+    mappings: ";;IACI,OAAA;IAAA,OAAA,SAAA;IACF,OAAA;IADE,OAAA,KAAA;IAAJ,OAAA;IAAA,SAAA,QAAA"
+  });
+  test.done();
+};
+
+var reporter = require('nodeunit').reporters['default'];
+reporter.run({"test-sourcemap" : module.exports});